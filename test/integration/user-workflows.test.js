@@ -218,17 +218,28 @@ describe('User Workflows (integration)', () => {
     test('should handle undo/redo workflow', () => {
       // Initialize and create some states
       init();
-      global.undoStack = ['state1', 'state2', 'state3'];
+      global.undoStack = [];
       global.redoStack = [];
 
+      // Draw two strokes
+      for (let i = 0; i < 2; i++) {
+        startDrawing({ preventDefault: jest.fn(), clientX: 100 + i * 50, clientY: 100 });
+        draw({ preventDefault: jest.fn(), clientX: 120 + i * 50, clientY: 120 });
+        stopDrawing();
+      }
+      const [first, second] = global.drawingPaths;
+      expect(global.undoStack).toHaveLength(2);
+
       // Undo operation
       undo();
-      expect(global.undoStack).toEqual(['state1', 'state2']);
-      expect(global.redoStack).toEqual(['state3']);
+      expect(global.drawingPaths).toEqual([first]);
+      expect(global.undoStack).toHaveLength(1);
+      expect(global.redoStack).toHaveLength(1);
 
       // Redo operation
       redo();
-      expect(global.undoStack).toEqual(['state1', 'state2', 'state3']);
+      expect(global.drawingPaths).toEqual([first, second]);
+      expect(global.undoStack).toHaveLength(2);
       expect(global.redoStack).toEqual([]);
     });
   });
@@ -316,15 +327,8 @@ describe('User Workflows (integration)', () => {
   describe('Export and Clear Operations', () => {
     test('should handle canvas export workflow', () => {
       init();
-      global.undoStack = ['state1', 'state2'];
-
-      // Mock Image for export
-      const mockImage = {
-        onload: null,
-        onerror: null,
-        src: ''
-      };
-      global.Image = jest.fn(() => mockImage);
+      startDrawing({ preventDefault: jest.fn(), clientX: 100, clientY: 100 });
+      stopDrawing();
 
       // Mock document.createElement for temporary canvas and link
       document.createElement = jest.fn((tag) => {
@@ -348,8 +352,8 @@ describe('User Workflows (integration)', () => {
 
       exportCanvas();
 
-      expect(global.Image).toHaveBeenCalled();
       expect(document.createElement).toHaveBeenCalledWith('canvas');
+      expect(document.createElement).toHaveBeenCalledWith('a');
     });
 
     test('should handle canvas clear workflow', () => {
@@ -463,18 +467,10 @@ describe('User Workflows (integration)', () => {
       init();
       
       // Simulate corrupted undo stack
-      global.undoStack = ['invalid-data-url'];
-      
-      const mockImage = {
-        onload: null,
-        onerror: jest.fn(),
-        src: ''
-      };
-      global.Image = jest.fn(() => mockImage);
+      global.undoStack = [{ name: 'corrupted' }];
 
-      // Attempt to load corrupted state
-      loadState('invalid-data-url');
-      mockImage.onerror();
+      // Attempt to undo the corrupted entry
+      expect(() => undo()).not.toThrow();
 
       // App should continue functioning
       expect(() => setTool('pen')).not.toThrow();
@@ -484,16 +480,18 @@ describe('User Workflows (integration)', () => {
     test('should handle memory exhaustion scenarios', () => {
       init();
 
-      // Fill undo stack beyond limit
+      // Record a long editing session
       for (let i = 0; i < 50; i++) {
-        global.undoStack.push(`large-state-${i}`);
+        startDrawing({ preventDefault: jest.fn(), clientX: 100 + i, clientY: 100 });
+        stopDrawing();
       }
 
       // Trigger memory cleanup
-      trimUndoRedoStacks();
+      cleanupMemory();
 
-      expect(global.undoStack.length).toBeLessThanOrEqual(10);
-      expect(global.redoStack).toHaveLength(0);
+      // History is command-based and is not discarded by cleanup
+      expect(global.undoStack).toHaveLength(50);
+      expect(global.drawingPaths).toHaveLength(50);
 
       // Should still be able to draw
       expect(() => startDrawing({ preventDefault: jest.fn(), clientX: 100, clientY: 100 })).not.toThrow();
@@ -574,7 +572,7 @@ describe('User Workflows (integration)', () => {
         preventDefault: jest.fn(),
         target: { tagName: 'DIV' }
       };
-      global.undoStack = ['state1', 'state2'];
+      global.undoStack = [new ClearCommand()];
       handleKeyDown(undoKeyEvent);
       expect(undoKeyEvent.preventDefault).toHaveBeenCalled();
     });
@@ -611,7 +609,8 @@ describe('User Workflows (integration)', () => {
       // Trigger memory cleanup
       cleanupMemory();
 
-      expect(global.drawingPaths).toHaveLength(0);
+      expect(global.drawingPaths).toHaveLength(20);
+      expect(global.undoStack).toHaveLength(initialStackSize);
       expect(global.copiedRegion).toBe(null);
     });
 
@@ -627,7 +626,6 @@ describe('User Workflows (integration)', () => {
       
       // Page becomes visible again
       Object.defineProperty(document, 'hidden', { value: false, writable: true });
-      global.undoStack = ['restored-state'];
       handleVisibilityChange();
       
       // Should continue functioning
@@ -656,7 +654,8 @@ describe('User Workflows (integration)', () => {
       init();
       
       // Create initial state
-      global.undoStack = ['good-state'];
+      const goodState = new ClearCommand();
+      global.undoStack = [goodState];
       
       // Trigger error during drawing
       mockContext.save = jest.fn(() => { throw new Error('Drawing error'); });
@@ -664,7 +663,7 @@ describe('User Workflows (integration)', () => {
       startDrawing({ preventDefault: jest.fn(), clientX: 100, clientY: 100 });
       
       expect(global.isDrawing).toBe(false); // Should reset on error
-      expect(global.undoStack).toEqual(['good-state']); // Should preserve existing state
+      expect(global.undoStack).toEqual([goodState]); // Should preserve existing state
     });
   });
 });
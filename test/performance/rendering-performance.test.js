@@ -139,26 +139,20 @@ describe('Rendering Performance (performance)', () => {
   });
 
   describe('Memory Performance', () => {
-    test('should manage undo stack memory efficiently', () => {
-      const startMemory = process.memoryUsage ? process.memoryUsage().heapUsed : 0;
-      
-      // Create large undo stack
+    test('should keep undo history lightweight', () => {
+      // Record a long history of strokes
       for (let i = 0; i < 100; i++) {
-        global.undoStack.push(`large-state-data-${i}-${'x'.repeat(1000)}`);
+        const path = { tool: 'pen', color: '#ef4444', size: 10, points: [{ x: i, y: i }], layerId: null };
+        global.drawingPaths.push(path);
+        saveState(new DrawCommand(path));
       }
       
-      // Trigger cleanup
-      trimUndoRedoStacks();
-      
-      const endMemory = process.memoryUsage ? process.memoryUsage().heapUsed : 0;
-      
-      // Stack should be trimmed
-      expect(global.undoStack.length).toBeLessThanOrEqual(10);
-      
-      // Memory usage should not grow indefinitely
-      if (process.memoryUsage) {
-        expect(endMemory - startMemory).toBeLessThan(1024 * 1024); // Less than 1MB growth
-      }
+      // History is kept in full; commands reference the document instead of bitmaps
+      expect(global.undoStack.length).toBe(100);
+      expect(mockCanvas.toDataURL).not.toHaveBeenCalled();
+      global.undoStack.forEach((command, i) => {
+        expect(command.path).toBe(global.drawingPaths[i]);
+      });
     });
 
     test('should handle state saving performance', () => {
@@ -196,14 +190,14 @@ describe('Rendering Performance (performance)', () => {
         global.currentPath.points.push({ x: i, y: i, t: performance.now() });
       }
       
-      // Clean up paths
+      // Clean up transient memory
       global.drawingPaths = [global.currentPath];
       cleanupMemory();
       
       const endTime = performance.now();
       
       expect(endTime - startTime).toBeLessThan(10);
-      expect(global.drawingPaths).toHaveLength(0);
+      expect(global.drawingPaths).toHaveLength(1);
     });
   });
 
@@ -394,13 +388,14 @@ describe('Rendering Performance (performance)', () => {
         
         // Trigger periodic cleanup
         if (session % 10 === 0) {
-          trimUndoRedoStacks();
+          cleanupMemory();
         }
       }
       
-      // Memory should be managed
-      expect(global.undoStack.length).toBeLessThan(50);
-      expect(global.drawingPaths).toHaveLength(0);
+      // One document item and one history entry per stroke, no dangling path
+      expect(global.undoStack.length).toBe(initialUndoStackLength + 100);
+      expect(global.drawingPaths).toHaveLength(100);
+      expect(global.currentPath).toBeNull();
     });
 
     test('should clean up event listeners properly', () => {
@@ -422,7 +417,7 @@ describe('Rendering Performance (performance)', () => {
 
     test('should handle visibility change memory cleanup', () => {
       // Create memory-intensive state
-      global.undoStack = Array.from({ length: 50 }, (_, i) => `state-${i}-${'x'.repeat(1000)}`);
+      global.copiedRegion = { width: 4000, height: 4000 };
       global.drawingPaths = Array.from({ length: 100 }, (_, i) => ({ 
         tool: 'pen', 
         points: Array.from({ length: 100 }, (_, j) => ({ x: j, y: j }))
@@ -433,8 +428,9 @@ describe('Rendering Performance (performance)', () => {
       
       handleVisibilityChange();
       
-      // Should trigger cleanup
-      expect(global.drawingPaths).toHaveLength(0);
+      // Should release transient data but keep the drawing
+      expect(global.copiedRegion).toBeNull();
+      expect(global.drawingPaths).toHaveLength(100);
     });
   });
 
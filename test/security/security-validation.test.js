@@ -228,7 +228,7 @@ describe('Security Validation (security)', () => {
     });
 
     test('should sanitize filename during export', () => {
-      global.undoStack = ['test-state'];
+      global.drawingPaths = [{ tool: 'pen', color: '#ef4444', size: 5, points: [{ x: 1, y: 1 }], layerId: null }];
       
       const mockTempCanvas = {
         width: 800,
@@ -280,35 +280,6 @@ describe('Security Validation (security)', () => {
   });
 
   describe('Canvas Security', () => {
-    test('should handle malicious data URLs safely', () => {
-      const maliciousDataURLs = [
-        'javascript:alert("xss")',
-        'data:text/html,<script>alert("xss")</script>',
-        'data:image/svg+xml,<svg onload=alert("xss")></svg>',
-        'vbscript:msgbox("xss")',
-        'data:text/html;base64,PHNjcmlwdD5hbGVydCgneHNzJyk8L3NjcmlwdD4=',
-        'file:///etc/passwd',
-        'ftp://malicious.site/script.js'
-      ];
-
-      maliciousDataURLs.forEach(maliciousURL => {
-        const mockImage = {
-          onload: null,
-          onerror: jest.fn(),
-          src: ''
-        };
-        global.Image = jest.fn(() => mockImage);
-
-        expect(() => {
-          loadState(maliciousURL);
-          // Simulate image error for malicious URLs
-          mockImage.onerror();
-        }).not.toThrow();
-
-        expect(mockImage.src).toBe(maliciousURL);
-      });
-    });
-
     test('should prevent canvas fingerprinting attacks', () => {
       // Test that canvas operations don't leak sensitive information
       const startTime = performance.now();
@@ -354,7 +325,7 @@ describe('Security Validation (security)', () => {
   describe('Export Security', () => {
     test('should prevent malicious export operations', () => {
       // Test with potentially dangerous canvas content
-      global.undoStack = ['data:image/png;base64,potential-malicious-content'];
+      global.drawingPaths = [{ tool: 'pen', color: 'javascript:alert(1)', size: 5, points: [{ x: 1, y: 1 }], layerId: null }];
       
       const mockImage = {
         onload: null,
@@ -396,10 +367,20 @@ describe('Security Validation (security)', () => {
     });
 
     test('should validate export data integrity', () => {
-      global.undoStack = ['valid-state'];
+      global.drawingPaths = [{ tool: 'pen', color: '#ef4444', size: 5, points: [{ x: 1, y: 1 }], layerId: null }];
       
       // Mock potentially corrupted export
-      mockCanvas.toDataURL = jest.fn(() => { throw new Error('Export corruption'); });
+      document.createElement = jest.fn((tag) => {
+        if (tag === 'canvas') {
+          return {
+            width: 800,
+            height: 600,
+            getContext: jest.fn(() => mockContext),
+            toDataURL: jest.fn(() => { throw new Error('Export corruption'); })
+          };
+        }
+        return { download: '', href: '', click: jest.fn() };
+      });
       
       const consoleSpy = jest.spyOn(console, 'error');
 
@@ -410,21 +391,6 @@ describe('Security Validation (security)', () => {
   });
 
   describe('Memory Security', () => {
-    test('should prevent memory exhaustion attacks', () => {
-      // Simulate attempt to exhaust memory with large undo stack
-      const largeDataURL = 'data:image/png;base64,' + 'x'.repeat(1000000); // 1MB data URL
-      
-      // Try to fill memory beyond reasonable limits
-      for (let i = 0; i < 1000; i++) {
-        global.undoStack.push(largeDataURL);
-      }
-
-      // Memory protection should kick in
-      trimUndoRedoStacks();
-
-      expect(global.undoStack.length).toBeLessThanOrEqual(10);
-    });
-
     test('should prevent drawing path memory bombs', () => {
       // Simulate malicious attempt to create huge paths
       global.currentPath = {
@@ -443,7 +409,8 @@ describe('Security Validation (security)', () => {
         cleanupMemory();
       }).not.toThrow();
 
-      expect(global.drawingPaths).toHaveLength(0);
+      // Cleanup must not commit an in-progress path to the document
+      expect(global.drawingPaths).not.toContain(global.currentPath);
     });
 
     test('should handle malicious state data safely', () => {
@@ -599,31 +566,6 @@ describe('Security Validation (security)', () => {
       expect(mockLink.download).not.toContain('..\\');
     });
 
-    test('should validate data URL schemes', () => {
-      const suspiciousDataURLs = [
-        'file:///etc/passwd',
-        'ftp://attacker.com/malicious.png',
-        'http://attacker.com/steal-data.php',
-        'chrome-extension://malicious/script.js',
-        'moz-extension://malicious/script.js'
-      ];
-
-      suspiciousDataURLs.forEach(suspiciousURL => {
-        const mockImage = {
-          onload: null,
-          onerror: jest.fn(),
-          src: ''
-        };
-        global.Image = jest.fn(() => mockImage);
-
-        expect(() => {
-          loadState(suspiciousURL);
-        }).not.toThrow();
-
-        // Should handle suspicious URLs safely
-        expect(mockImage.src).toBe(suspiciousURL);
-      });
-    });
   });
 
   describe('Configuration Security', () => {
@@ -0,0 +1,231 @@
+/**
+ * Unit Tests for Autosave and Session Recovery
+ * Tests IndexedDB snapshots, the restore prompt and the recent sessions list
+ */
+
+require('../../app.js');
+
+/**
+ * Minimal in-memory IndexedDB: one database, one object store keyed by `id` with
+ * an `updatedAt` index. Requests succeed asynchronously in order and each
+ * transaction completes once its last request has.
+ */
+function createFakeIndexedDB() {
+  const records = new Map();
+
+  const db = {
+    objectStoreNames: { contains: () => true },
+    createObjectStore: jest.fn(),
+    transaction: jest.fn(() => {
+      const tx = { pending: 0 };
+
+      const settle = (request, compute) => {
+        tx.pending++;
+        setTimeout(() => {
+          request.result = compute();
+          if (request.onsuccess) request.onsuccess();
+          if (--tx.pending === 0 && tx.oncomplete) tx.oncomplete();
+        }, 0);
+        return request;
+      };
+
+      const openKeyCursor = (range, direction) => {
+        const request = {};
+        let ids = null;
+        let position = 0;
+        const step = () => settle(request, () => {
+          if (!ids) {
+            ids = Array.from(records.values()).sort((a, b) => a.updatedAt - b.updatedAt).map(record => record.id);
+            if (direction === 'prev') ids.reverse();
+          }
+          if (position >= ids.length) return null;
+          return { primaryKey: ids[position++], continue: step };
+        });
+        return step();
+      };
+
+      tx.objectStore = () => ({
+        put: record => settle({}, () => { records.set(record.id, JSON.parse(JSON.stringify(record))); return record.id; }),
+        get: id => settle({}, () => records.get(id)),
+        getAll: () => settle({}, () => Array.from(records.values())),
+        delete: id => settle({}, () => { records.delete(id); }),
+        index: () => ({ openKeyCursor })
+      });
+      return tx;
+    })
+  };
+
+  return {
+    records,
+    db,
+    open: jest.fn(() => {
+      const request = {};
+      setTimeout(() => { request.result = db; request.onsuccess(); }, 0);
+      return request;
+    })
+  };
+}
+
+const flushTimers = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Autosave and Session Recovery (unit)', () => {
+  let fakeDB;
+  let originalGetElementById;
+
+  const stroke = (color = '#ef4444') => ({
+    tool: 'pen',
+    color,
+    size: 10,
+    layerId: null,
+    points: [{ x: 1, y: 2, width: 10 }]
+  });
+
+  const savedRecord = (id, updatedAt, items) => {
+    global.drawingPaths = items;
+    return { id, updatedAt, itemCount: items.length, project: serializeProject() };
+  };
+
+  beforeAll(() => {
+    fakeDB = createFakeIndexedDB();
+    global.indexedDB = fakeDB;
+  });
+
+  afterAll(() => {
+    delete global.indexedDB;
+  });
+
+  beforeEach(() => {
+    fakeDB.records.clear();
+    originalGetElementById = document.getElementById.getMockImplementation();
+
+    global.canvas = { width: 800, height: 600 };
+    global.ctx = { setTransform: jest.fn() };
+    global.drawingPaths = [];
+    global.undoStack = [];
+    global.redoStack = [];
+  });
+
+  afterEach(() => {
+    document.getElementById.mockImplementation(originalGetElementById);
+    jest.useRealTimers();
+  });
+
+  test('should write the document to IndexedDB', async () => {
+    global.drawingPaths = [stroke()];
+
+    await autosaveSession();
+
+    const [record] = Array.from(fakeDB.records.values());
+    expect(record.itemCount).toBe(1);
+    expect(record.project.format).toBe('thicklines');
+    expect(record.project.items[0].color).toBe('#ef4444');
+  });
+
+  test('should keep saving into the same session', async () => {
+    global.drawingPaths = [stroke()];
+    await autosaveSession();
+    global.drawingPaths = [stroke(), stroke('#10b981')];
+    await autosaveSession();
+
+    expect(fakeDB.records.size).toBe(1);
+    expect(Array.from(fakeDB.records.values())[0].itemCount).toBe(2);
+  });
+
+  test('should list sessions newest first and skip empty ones', async () => {
+    fakeDB.records.set('old', savedRecord('old', 1000, [stroke()]));
+    fakeDB.records.set('new', savedRecord('new', 3000, [stroke(), stroke()]));
+    fakeDB.records.set('empty', savedRecord('empty', 5000, []));
+
+    const sessions = await listSessions();
+
+    expect(sessions.map(s => s.id)).toEqual(['new', 'old']);
+  });
+
+  test('should keep only the ten most recent sessions', async () => {
+    for (let i = 0; i < 12; i++) {
+      fakeDB.records.set(`s${i}`, savedRecord(`s${i}`, i, [stroke()]));
+    }
+    global.drawingPaths = [stroke()];
+    fakeDB.db.transaction.mockClear();
+
+    await autosaveSession();
+
+    expect(fakeDB.records.size).toBe(10);
+    expect(fakeDB.records.has('s0')).toBe(false);
+    expect(fakeDB.records.has('s1')).toBe(false);
+    // Saving and pruning share one transaction
+    expect(fakeDB.db.transaction).toHaveBeenCalledTimes(1);
+  });
+
+  test('should encode each image once across snapshots', async () => {
+    const image = { toDataURL: jest.fn(() => 'data:image/png;base64,AAAA') };
+    const item = { tool: 'image', image, x: 0, y: 0, width: 4, height: 4, layerId: null };
+    global.drawingPaths = [item];
+
+    await autosaveSession();
+    await autosaveSession();
+
+    expect(image.toDataURL).toHaveBeenCalledTimes(1);
+    expect(Array.from(fakeDB.records.values())[0].project.items[0].src).toBe('data:image/png;base64,AAAA');
+
+    // A replaced source is encoded again
+    item.image = { toDataURL: jest.fn(() => 'data:image/png;base64,BBBB') };
+    await autosaveSession();
+    expect(Array.from(fakeDB.records.values())[0].project.items[0].src).toBe('data:image/png;base64,BBBB');
+  });
+
+  test('should debounce snapshots after history changes', async () => {
+    await initAutosave();
+    jest.useFakeTimers();
+
+    global.drawingPaths = [stroke()];
+    saveState(new DrawCommand(global.drawingPaths[0]));
+    saveState(new DrawCommand(global.drawingPaths[0]));
+    expect(fakeDB.records.size).toBe(0);
+
+    jest.advanceTimersByTime(1500);
+    jest.useRealTimers();
+    for (let i = 0; i < 10; i++) await flushTimers();
+
+    expect(fakeDB.records.size).toBe(1);
+  });
+
+  test('should offer to restore the previous session on startup', async () => {
+    fakeDB.records.set('previous', savedRecord('previous', Date.now(), [stroke('#3b82f6')]));
+    global.drawingPaths = [];
+
+    const modal = {};
+    document.getElementById.mockImplementation((id) => {
+      const element = originalGetElementById(id);
+      if (id === 'confirmModalTitle') return modal;
+      if (id === 'confirmOkBtn') {
+        element.addEventListener = jest.fn((type, handler) => setTimeout(handler, 0));
+      }
+      return element;
+    });
+
+    await initAutosave();
+
+    expect(modal.textContent).toBe('Restore previous session?');
+    expect(global.drawingPaths).toHaveLength(1);
+    expect(global.drawingPaths[0].color).toBe('#3b82f6');
+  });
+
+  test('should restore a session chosen from the recent list', async () => {
+    fakeDB.records.set('board', savedRecord('board', 2000, [stroke('#f59e0b'), stroke()]));
+    global.drawingPaths = [];
+
+    const restored = await restoreSession('board');
+
+    expect(restored).toBe(true);
+    expect(global.drawingPaths).toHaveLength(2);
+    expect(global.undoStack).toEqual([]);
+  });
+
+  test('should report sessions that no longer exist', async () => {
+    const restored = await restoreSession('missing');
+
+    expect(restored).toBe(false);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Error in restoreSession'), expect.any(Error));
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Unit Tests for the Brush Engine
+ * Tests dab spacing, seeded replay, tip shapes, pressure curves, brush selection and project files
+ */
+
+require('../../app.js');
+
+describe('Brush Engine (unit)', () => {
+  let mockContext;
+
+  const recordingContext = () => {
+    const calls = [];
+    const record = name => jest.fn((...args) => calls.push([name, ...args]));
+    return {
+      calls,
+      save: jest.fn(),
+      restore: jest.fn(),
+      beginPath: record('beginPath'),
+      arc: record('arc'),
+      fill: record('fill'),
+      moveTo: record('moveTo'),
+      lineTo: record('lineTo'),
+      quadraticCurveTo: record('quadraticCurveTo'),
+      stroke: record('stroke'),
+      fillRect: record('fillRect'),
+      setTransform: jest.fn(),
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over'
+    };
+  };
+
+  const brushed = (brush, overrides = {}) => ({
+    tool: 'pen',
+    brush,
+    seed: 1234,
+    color: '#3b82f6',
+    size: 10,
+    layerId: null,
+    points: [{ x: 10, y: 10, width: 10 }, { x: 40, y: 10, width: 10 }, { x: 60, y: 30, width: 8 }],
+    ...overrides
+  });
+
+  const preset = brush => getStampedBrush({ tool: 'pen', brush });
+
+  const press = (x, y) => ({ button: 0, clientX: x, clientY: y, preventDefault: jest.fn() });
+
+  beforeEach(() => {
+    mockContext = recordingContext();
+    global.canvas = {
+      width: 800,
+      height: 600,
+      style: {},
+      getBoundingClientRect: jest.fn(() => ({ left: 0, top: 0, width: 800, height: 600 }))
+    };
+    global.ctx = mockContext;
+    global.drawingPaths = [];
+    global.undoStack = [];
+    global.redoStack = [];
+    global.zoomLevel = 1;
+    global.panOffsetX = 0;
+    global.panOffsetY = 0;
+    global.isDrawing = false;
+    global.currentTool = 'pen';
+    global.currentColor = '#3b82f6';
+    global.penSize = 10;
+    appModule.penOpacity = 1;
+    appModule.currentBrush = 'pen';
+  });
+
+  test('the seeded random sequence should repeat for the same seed', () => {
+    const a = createSeededRandom(42);
+    const b = createSeededRandom(42);
+    const first = [a(), a(), a()];
+
+    expect([b(), b(), b()]).toEqual(first);
+    expect(first.every(n => n >= 0 && n < 1)).toBe(true);
+    expect(createSeededRandom(43)()).not.toBe(first[0]);
+  });
+
+  test('should space dabs evenly and carry the spacing across segments', () => {
+    const marker = preset('marker');
+    const state = { random: createSeededRandom(1), carry: 0 };
+    const start = { x: 0, y: 0, width: 10 };
+
+    expect(brushDabs(marker, start, start, 10, state)).toHaveLength(1);
+    // 0.8px apart, so a 2px segment takes dabs at 0.8 and 1.6 ...
+    const first = brushDabs(marker, start, { x: 2, y: 0, width: 10 }, 10, state);
+    expect(first.map(d => d.x)).toEqual([expect.closeTo(0.8), expect.closeTo(1.6)]);
+    // ... and the next one continues at 2.4
+    const second = brushDabs(marker, { x: 2, y: 0, width: 10 }, { x: 3, y: 0, width: 10 }, 10, state);
+    expect(second[0].x).toBeCloseTo(2.4);
+  });
+
+  test('replaying a textured stroke should paint exactly the same specks', () => {
+    const first = recordingContext();
+    const second = recordingContext();
+
+    paintBrushStroke(first, brushed('chalk'), '#3b82f6');
+    paintBrushStroke(second, brushed('chalk'), '#3b82f6');
+
+    expect(first.calls.length).toBeGreaterThan(0);
+    expect(second.calls).toEqual(first.calls);
+
+    const other = recordingContext();
+    paintBrushStroke(other, brushed('chalk', { seed: 99 }), '#3b82f6');
+    expect(other.calls).not.toEqual(first.calls);
+  });
+
+  test('calligraphy strokes should be thin along the nib and wide across it', () => {
+    // Half the band a nib stroke covers, measured across the stroke direction
+    const bandWidth = (dx, dy) => {
+      const context = recordingContext();
+      const length = Math.hypot(dx, dy);
+      paintBrushStroke(context, brushed('calligraphy', {
+        points: [{ x: 100, y: 100, width: 20 }, { x: 100 + dx, y: 100 + dy, width: 20 }]
+      }), '#000000');
+      const corners = context.calls.filter(([name]) => name === 'moveTo' || name === 'lineTo');
+      return Math.max(...corners.map(([, x, y]) => Math.abs(((x - 100) * -dy + (y - 100) * dx) / length)));
+    };
+
+    // The nib sits at -45°
+    expect(bandWidth(40, -40)).toBeLessThan(2);
+    expect(bandWidth(40, 40)).toBeGreaterThan(9);
+  });
+
+  test('pressure curves should shape the width only for brushes that have one', () => {
+    const original = appModule.supportsPressure;
+    appModule.supportsPressure = true;
+    appModule.inputDevice = 'pen';
+    try {
+      expect(brushWidth(preset('calligraphy'), 20, 1)).toBe(20);
+      expect(brushWidth(preset('calligraphy'), 20, 0)).toBe(10);
+      expect(brushWidth(preset('pencil'), 20, 0.5)).toBeCloseTo(14);
+      expect(brushWidth(preset('marker'), 20, 0)).toBe(20);
+
+      // Without pressure input every brush uses the full size
+      appModule.supportsPressure = false;
+      expect(brushWidth(preset('calligraphy'), 20, 0)).toBe(20);
+    } finally {
+      appModule.supportsPressure = original;
+      appModule.inputDevice = 'mouse';
+    }
+  });
+
+  test('drawing with a brush should stamp dabs and record the brush and seed', () => {
+    selectBrush('airbrush');
+    expect(global.currentTool).toBe('pen');
+
+    handleMouseDown(press(100, 100));
+    handleMouseMove(press(130, 100));
+    handleMouseUp(press(130, 100));
+
+    const stroke = global.drawingPaths[0];
+    expect(stroke).toMatchObject({ tool: 'pen', brush: 'airbrush' });
+    expect(Number.isInteger(stroke.seed)).toBe(true);
+    expect(mockContext.fillRect).toHaveBeenCalled();
+    expect(mockContext.quadraticCurveTo).not.toHaveBeenCalled();
+
+    // The document replays the same specks that were painted live
+    const replay = recordingContext();
+    renderPath(replay, stroke);
+    expect(replay.calls.filter(([name]) => name === 'fillRect'))
+      .toEqual(mockContext.calls.filter(([name]) => name === 'fillRect'));
+  });
+
+  test('the classic pen should keep its smooth strokes', () => {
+    handleMouseDown(press(100, 100));
+    handleMouseMove(press(120, 100));
+    handleMouseMove(press(140, 110));
+    handleMouseUp(press(140, 110));
+
+    expect(global.drawingPaths[0]).not.toHaveProperty('brush');
+    expect(mockContext.quadraticCurveTo).toHaveBeenCalled();
+    expect(mockContext.fillRect).not.toHaveBeenCalled();
+  });
+
+  test('B should pick the pen and then cycle the brushes', () => {
+    const pressB = () => handleKeyDown({ key: 'b', target: { tagName: 'DIV' }, preventDefault: jest.fn() });
+    global.currentTool = 'eraser';
+
+    pressB();
+    expect(global.currentTool).toBe('pen');
+    expect(appModule.currentBrush).toBe('pen');
+
+    pressB();
+    expect(appModule.currentBrush).toBe('marker');
+
+    selectBrush('nope');
+    expect(appModule.currentBrush).toBe('marker');
+  });
+
+  test('should save brushes in project files and reject unknown ones', () => {
+    global.drawingPaths = [brushed('pencil')];
+
+    const data = serializeProject();
+    expect(data.items[0]).toMatchObject({ brush: 'pencil', seed: 1234 });
+    expect(parseProject(JSON.stringify(data)).items[0].brush).toBe('pencil');
+
+    data.items[0].brush = 'glitter';
+    expect(() => parseProject(JSON.stringify(data))).toThrow('unknown brush "glitter"');
+  });
+});
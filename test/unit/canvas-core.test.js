@@ -148,7 +148,8 @@ describe('Canvas Core (unit)', () => {
     beforeEach(() => {
       global.canvas = mockCanvas;
       global.ctx = mockContext;
-      global.undoStack = ['initial-state'];
+      global.drawingPaths = [];
+      appModule.canvasPixelRatio = 1;
     });
 
     test('should resize canvas properly', () => {
@@ -171,12 +172,101 @@ describe('Canvas Core (unit)', () => {
     });
 
     test('should restore canvas state after resize', () => {
-      global.undoStack = ['data:image/png;base64,test-state'];
+      const image = { width: 10, height: 10 };
+      global.drawingPaths = [{ tool: 'image', image, x: 0, y: 0, width: 10, height: 10, layerId: null }];
       
       resizeCanvas();
 
       expect(mockContext.fillStyle).toBe('#1e293b');
       expect(mockContext.fillRect).toHaveBeenCalled();
+      expect(mockContext.drawImage).toHaveBeenCalledWith(image, 0, 0, 10, 10);
+    });
+
+    test('repeated resizes should not compound the pixel ratio', () => {
+      Object.defineProperty(window, 'devicePixelRatio', { value: 2, writable: true });
+      global.zoomLevel = 1.5;
+      global.panOffsetX = 10;
+
+      resizeCanvas();
+      resizeCanvas();
+
+      // Each resize scales a freshly reset transform, and the view adds zoom and pan on top
+      const calls = mockContext.setTransform.mock.calls.map(args => args.join());
+      const scaleOrder = mockContext.scale.mock.invocationCallOrder;
+      expect(mockContext.scale.mock.calls).toEqual([[2, 2], [2, 2]]);
+      scaleOrder.forEach(order => {
+        const before = mockContext.setTransform.mock.invocationCallOrder.filter(o => o < order);
+        expect(calls[before.length - 1]).toBe('1,0,0,1,0,0');
+      });
+      expect(mockContext.setTransform).toHaveBeenCalledWith(3, 0, 0, 3, 20, 0);
+      Object.defineProperty(window, 'devicePixelRatio', { value: 1, writable: true });
+    });
+
+    test('document coordinates should not depend on the pixel ratio', () => {
+      Object.defineProperty(window, 'devicePixelRatio', { value: 2, writable: true });
+      global.panOffsetX = 40;
+      global.panOffsetY = 20;
+      resizeCanvas();
+
+      expect(mockCanvas.width).toBe(1600);
+      expect(getCoordinates({ clientX: 100, clientY: 50 })).toEqual({ x: 60, y: 30 });
+      expect(canvasToClient(60, 30)).toEqual({ x: 100, y: 50 });
+      expect(getViewportWorldRect()).toEqual({ x: -40, y: -20, width: 800, height: 600 });
+      Object.defineProperty(window, 'devicePixelRatio', { value: 1, writable: true });
+    });
+
+    test('a new pixel ratio should re-render layer tiles at that resolution', () => {
+      Object.defineProperty(window, 'devicePixelRatio', { value: 1, writable: true });
+      const layer = new appModule.Layer('Background');
+      appModule.layers = [layer];
+      global.drawingPaths = [{ tool: 'pen', color: '#3b82f6', size: 4, layerId: layer.id, points: [{ x: 10, y: 10 }, { x: 30, y: 10 }] }];
+
+      try {
+        resizeCanvas();
+        renderLayer(layer);
+        const tile = layer.getTile(0, 0);
+        expect(tile.canvas.width).toBe(512);
+
+        // Resizing at the same ratio keeps the tiles
+        resizeCanvas();
+        expect(layer.getTile(0, 0)).toBe(tile);
+
+        Object.defineProperty(window, 'devicePixelRatio', { value: 2, writable: true });
+        resizeCanvas();
+        expect(layer.pixelRatio).toBe(2);
+        expect(layer.getTile(0, 0).canvas.width).toBe(1024);
+        expect(layer.getTile(0, 0).canvas.height).toBe(1024);
+      } finally {
+        appModule.layers = [];
+        Object.defineProperty(window, 'devicePixelRatio', { value: 1, writable: true });
+      }
+    });
+
+    test('off-screen buffers should keep the pixel ratio and be drawn back at document size', () => {
+      appModule.canvasPixelRatio = 2;
+      const region = { x: 10, y: 20, width: 30, height: 40 };
+      appModule.selectedRegion = region;
+      appModule.floatingSelection = null;
+
+      try {
+        // Lifted selection pixels
+        const pixels = renderSelectionPixels(region, [{ x: 10, y: 20 }, { x: 40, y: 20 }, { x: 40, y: 60 }], null);
+        expect([pixels.width, pixels.height]).toEqual([60, 80]);
+
+        // The clipboard gets one pixel per unit, so a paste comes back the same size
+        const copied = getSelectionClipboardPixels();
+        expect([copied.width, copied.height]).toEqual([30, 40]);
+
+        // Translucent strokes
+        const stroke = { tool: 'pen', color: '#ef4444', size: 10, opacity: 0.5, layerId: null, points: [{ x: 10, y: 10, width: 10 }, { x: 30, y: 12, width: 10 }] };
+        renderPath(mockContext, stroke);
+        const [buffer, ...placement] = mockContext.drawImage.mock.calls.pop();
+        const bounds = getStrokeBounds(stroke);
+        expect(placement).toEqual([bounds.x, bounds.y, bounds.width, bounds.height]);
+        expect([buffer.width, buffer.height]).toEqual([bounds.width * 2, bounds.height * 2]);
+      } finally {
+        appModule.selectedRegion = null;
+      }
     });
   });
 
@@ -294,7 +384,7 @@ describe('Canvas Core (unit)', () => {
     });
 
     test('should reset zoom level when out of bounds', () => {
-      global.zoomLevel = 5.0; // Above max
+      global.zoomLevel = 40; // Above max
       const mockEvent = {
         ctrlKey: true,
         deltaY: -100, // Scroll up
@@ -303,7 +393,7 @@ describe('Canvas Core (unit)', () => {
         clientY: 300
       };
       handleWheel(mockEvent);
-      expect(global.zoomLevel).toBe(3.0);
+      expect(global.zoomLevel).toBe(32);
     });
   });
 
@@ -328,7 +418,7 @@ describe('Canvas Core (unit)', () => {
     beforeEach(() => {
       global.canvas = mockCanvas;
       global.ctx = mockContext;
-      global.undoStack = ['initial-state'];
+      global.undoStack = [];
       global.redoStack = [];
     });
 
@@ -14,9 +14,15 @@ describe('Clipboard Operations and Export (unit)', () => {
     global.ctx = null;
     global.copiedRegion = null;
     global.undoStack = [];
+    global.drawingPaths = [];
+    appModule.selectionMode = false;
+    appModule.selectedRegion = null;
+    appModule.floatingSelection = null;
 
     // Setup canvas mocks
     mockContext = {
+      save: jest.fn(),
+      restore: jest.fn(),
       drawImage: jest.fn(),
       fillStyle: '#1e293b',
       fillRect: jest.fn(),
@@ -196,8 +202,11 @@ describe('Clipboard Operations and Export (unit)', () => {
       expect(mockContext.drawImage).toHaveBeenCalledWith(
         global.copiedRegion,
         (mockCanvas.width - 400) / 2,
-        (mockCanvas.height - 300) / 2
+        (mockCanvas.height - 300) / 2,
+        400,
+        300
       );
+      expect(global.drawingPaths[global.drawingPaths.length - 1].tool).toBe('image');
     });
 
     test('should handle empty system clipboard gracefully', async () => {
@@ -226,8 +235,11 @@ describe('Clipboard Operations and Export (unit)', () => {
       expect(mockContext.drawImage).toHaveBeenCalledWith(
         global.copiedRegion,
         (mockCanvas.width - 200) / 2,
-        (mockCanvas.height - 150) / 2
+        (mockCanvas.height - 150) / 2,
+        200,
+        150
       );
+      expect(global.drawingPaths[global.drawingPaths.length - 1].tool).toBe('image');
     });
 
     test('should handle paste with no clipboard data', async () => {
@@ -242,8 +254,10 @@ describe('Clipboard Operations and Export (unit)', () => {
   });
 
   describe('Export Canvas Functionality', () => {
+    const samplePath = () => ({ tool: 'image', image: { width: 10, height: 10 }, x: 0, y: 0, width: 10, height: 10, layerId: null });
+
     test('should export canvas as PNG image', () => {
-      global.undoStack = ['data:image/png;base64,test-drawing'];
+      global.drawingPaths = [samplePath()];
 
       exportCanvas();
 
@@ -252,7 +266,7 @@ describe('Clipboard Operations and Export (unit)', () => {
     });
 
     test('should create timestamped filename', () => {
-      global.undoStack = ['data:image/png;base64,test-drawing'];
+      global.drawingPaths = [samplePath()];
       const mockLink = { download: '', click: jest.fn(), href: '' };
       document.createElement.mockReturnValue(mockLink);
 
@@ -262,7 +276,7 @@ describe('Clipboard Operations and Export (unit)', () => {
     });
 
     test('should handle empty canvas export', () => {
-      global.undoStack = [];
+      global.drawingPaths = [];
 
       const consoleSpy = jest.spyOn(console, 'log');
       exportCanvas();
@@ -271,7 +285,7 @@ describe('Clipboard Operations and Export (unit)', () => {
     });
 
     test('should create temporary canvas for export', () => {
-      global.undoStack = ['data:image/png;base64,test-drawing'];
+      global.drawingPaths = [samplePath()];
       const mockTempCanvas = {
         getContext: jest.fn(() => mockContext),
         toDataURL: jest.fn(() => 'data:image/png;base64,export-data'),
@@ -286,15 +300,8 @@ describe('Clipboard Operations and Export (unit)', () => {
       expect(mockContext.fillRect).toHaveBeenCalledWith(0, 0, 800, 600);
     });
 
-    test('should handle export image load success', (done) => {
-      global.undoStack = ['data:image/png;base64,test-drawing'];
-      
-      const mockImage = {
-        onload: null,
-        onerror: null,
-        src: ''
-      };
-      global.Image.mockReturnValue(mockImage);
+    test('should trigger the download link', () => {
+      global.drawingPaths = [samplePath()];
 
       const mockLink = {
         download: '',
@@ -302,48 +309,28 @@ describe('Clipboard Operations and Export (unit)', () => {
         href: '',
         style: {}
       };
-      document.createElement.mockReturnValue(mockLink);
+      document.createElement.mockImplementation((tag) => {
+        if (tag === 'canvas') return { getContext: jest.fn(() => mockContext), toDataURL: jest.fn(() => 'data:image/png;base64,x'), width: 800, height: 600 };
+        return mockLink;
+      });
 
       exportCanvas();
 
-      // Simulate successful image load
-      if (mockImage.onload) {
-        mockImage.onload();
-      }
-
-      setTimeout(() => {
-        expect(mockLink.click).toHaveBeenCalled();
-        done();
-      }, 10);
+      expect(mockLink.click).toHaveBeenCalled();
+      expect(mockLink.href).toBe('data:image/png;base64,x');
     });
 
-    test('should handle export image load failure', (done) => {
-      global.undoStack = ['data:image/png;base64,test-drawing'];
-      
-      const mockImage = {
-        onload: null,
-        onerror: null,
-        src: ''
-      };
-      global.Image.mockReturnValue(mockImage);
-
-      const consoleErrorSpy = jest.spyOn(console, 'error');
+    test('should render the document onto the export canvas', () => {
+      const path = samplePath();
+      global.drawingPaths = [path];
 
       exportCanvas();
 
-      // Simulate image load failure
-      if (mockImage.onerror) {
-        mockImage.onerror();
-      }
-
-      setTimeout(() => {
-        expect(consoleErrorSpy).toHaveBeenCalledWith('Error loading state image for export');
-        done();
-      }, 10);
+      expect(mockContext.drawImage).toHaveBeenCalledWith(path.image, 0, 0, 10, 10);
     });
 
     test('should handle toDataURL errors during export', () => {
-      global.undoStack = ['data:image/png;base64,test-drawing'];
+      global.drawingPaths = [samplePath()];
       
       const mockTempCanvas = {
         getContext: jest.fn(() => mockContext),
@@ -364,6 +351,312 @@ describe('Clipboard Operations and Export (unit)', () => {
     });
   });
 
+  describe('Export Options', () => {
+    const stroke = (points, size = 10) => ({ tool: 'pen', color: '#ef4444', size, layerId: null, points });
+    let exportCanvasEl;
+    let mockLink;
+
+    beforeEach(() => {
+      localStorage.clear();
+      mockLink = { download: '', click: jest.fn(), href: '' };
+      exportCanvasEl = null;
+      document.createElement.mockImplementation((tag) => {
+        if (tag === 'canvas') {
+          const el = {
+            getContext: jest.fn(() => mockContext),
+            toDataURL: jest.fn((type) => `data:${type};base64,x`),
+            width: 0,
+            height: 0
+          };
+          exportCanvasEl = exportCanvasEl || el;
+          return el;
+        }
+        return mockLink;
+      });
+      global.drawingPaths = [stroke([{ x: 100, y: 50, width: 10 }, { x: 300, y: 150, width: 20 }])];
+    });
+
+    test('should remember options in localStorage', () => {
+      saveExportOptions({ format: 'webp', quality: 0.8, scale: 2, background: 'white', region: 'content' });
+
+      expect(loadExportOptions()).toEqual({ format: 'webp', quality: 0.8, scale: 2, background: 'white', region: 'content' });
+    });
+
+    test('should fall back to defaults for invalid stored options', () => {
+      localStorage.setItem('thick-lines-export-options', JSON.stringify({ format: 'gif', scale: 3, region: 'moon' }));
+
+      expect(loadExportOptions()).toEqual({ format: 'png', quality: 0.92, scale: 1, background: 'theme', region: 'full' });
+    });
+
+    test('should compute content bounds from stroke widths and images', () => {
+      global.drawingPaths = [
+        stroke([{ x: 100, y: 50, width: 10 }, { x: 300, y: 150, width: 20 }]),
+        { tool: 'eraser', color: '#000', size: 50, layerId: null, points: [{ x: 0, y: 0 }] },
+        { tool: 'image', image: {}, x: 350, y: 20, width: 50, height: 40, layerId: null }
+      ];
+
+      expect(computeContentBounds()).toEqual({ x: 95, y: 20, width: 305, height: 140 });
+    });
+
+    test('should export JPEG with quality and a .jpg filename', () => {
+      exportCanvas({ format: 'jpeg', quality: 0.7 });
+
+      expect(exportCanvasEl.toDataURL).toHaveBeenCalledWith('image/jpeg', 0.7);
+      expect(mockLink.download).toMatch(/\.jpg$/);
+    });
+
+    test('should fall back to PNG when the browser cannot encode WebP', () => {
+      document.createElement.mockImplementation((tag) => (tag === 'canvas'
+        ? { getContext: jest.fn(() => mockContext), toDataURL: jest.fn(() => 'data:image/png;base64,x'), width: 0, height: 0 }
+        : mockLink));
+
+      exportCanvas({ format: 'webp' });
+
+      expect(mockLink.download).toMatch(/\.png$/);
+    });
+
+    test('should scale and crop to content bounds', () => {
+      exportCanvas({ region: 'content', scale: 2 });
+
+      expect(exportCanvasEl.width).toBe(215 * 2);
+      expect(exportCanvasEl.height).toBe(115 * 2);
+    });
+
+    test('should leave the background transparent when requested', () => {
+      exportCanvas({ background: 'transparent' });
+
+      expect(mockContext.fillRect).not.toHaveBeenCalled();
+    });
+
+    test('should use white for transparent JPEG exports', () => {
+      const fills = [];
+      mockContext.fillRect.mockImplementation(() => fills.push(mockContext.fillStyle));
+
+      exportCanvas({ format: 'jpeg', background: 'transparent' });
+
+      expect(fills).toEqual(['#ffffff']);
+    });
+
+    test('should not export an empty selection', () => {
+      exportCanvas({ region: 'selection' });
+
+      expect(mockLink.click).not.toHaveBeenCalled();
+    });
+
+    test('should use the remembered options for quick export', () => {
+      saveExportOptions({ format: 'jpeg' });
+
+      exportCanvas();
+
+      expect(mockLink.download).toMatch(/\.jpg$/);
+    });
+  });
+
+  describe('SVG Export Functionality', () => {
+    const stroke = (overrides = {}) => ({
+      tool: 'pen',
+      color: '#3b82f6',
+      size: 10,
+      layerId: null,
+      points: [{ x: 0, y: 0, width: 10 }, { x: 10, y: 0, width: 10 }, { x: 20, y: 10, width: 10 }],
+      ...overrides
+    });
+
+    test('should size the document to the canvas when everything fits on it', () => {
+      // Content past the edges grows the board (see infinite-canvas.test.js)
+      global.drawingPaths = [stroke({ points: [{ x: 20, y: 20, width: 10 }, { x: 40, y: 30, width: 10 }] })];
+
+      const svg = buildSVGDocument();
+
+      expect(svg).toContain('<svg xmlns="http://www.w3.org/2000/svg" width="800" height="600" viewBox="0 0 800 600">');
+      expect(svg).toContain('<rect x="0" y="0" width="800" height="600" fill="#1e293b"/>');
+    });
+
+    test('should convert strokes with the same midpoint smoothing as the canvas', () => {
+      global.drawingPaths = [stroke()];
+
+      const svg = buildSVGDocument();
+
+      expect(svg).toContain('<circle cx="0" cy="0" r="5" fill="#3b82f6"/>');
+      // First segment is straight; later ones are quadratics from midpoint to midpoint
+      expect(svg).toContain('d="M0 0 L10 0 M5 0 Q10 0 15 5"');
+      expect(svg).toContain('stroke-width="10"');
+    });
+
+    test('should split paths where the stroke width changes', () => {
+      global.drawingPaths = [stroke({
+        points: [{ x: 0, y: 0, width: 10 }, { x: 10, y: 0, width: 10 }, { x: 20, y: 0, width: 6 }]
+      })];
+
+      const svg = buildSVGDocument();
+
+      expect(svg).toContain('stroke-width="10"');
+      expect(svg).toContain('stroke-width="6"');
+    });
+
+    test('should mask earlier content with eraser strokes', () => {
+      global.drawingPaths = [
+        stroke(),
+        stroke({ tool: 'eraser', color: '#000000', size: 50 }),
+        stroke({ color: '#ef4444' })
+      ];
+
+      const svg = buildSVGDocument();
+
+      expect(svg).toContain('<mask id="erase-1"');
+      // The earlier stroke is wrapped by the mask; the later one follows outside it
+      const masked = svg.slice(svg.indexOf('<g mask="url(#erase-1)">'));
+      const closeMask = masked.indexOf('</g></g>');
+      expect(masked.slice(0, closeMask)).toContain('#3b82f6');
+      expect(masked.slice(0, closeMask)).not.toContain('#ef4444');
+      expect(masked.slice(closeMask)).toContain('#ef4444');
+    });
+
+    test('should embed pasted images', () => {
+      global.drawingPaths = [{
+        tool: 'image',
+        image: { width: 10, height: 10, toDataURL: jest.fn(() => 'data:image/png;base64,pixels') },
+        x: 5, y: 6, width: 10, height: 10, layerId: null
+      }];
+
+      const svg = buildSVGDocument();
+
+      expect(svg).toContain('<image href="data:image/png;base64,pixels" x="5" y="6" width="10" height="10"/>');
+    });
+
+    test('should download an .svg file', () => {
+      global.drawingPaths = [stroke()];
+      const mockLink = { download: '', click: jest.fn(), href: '' };
+      document.createElement.mockReturnValue(mockLink);
+
+      exportSVG();
+
+      expect(global.Blob).toHaveBeenCalledWith([expect.stringContaining('<svg')], { type: 'image/svg+xml' });
+      expect(mockLink.download).toMatch(/thick-lines-drawing_\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}\.svg/);
+      expect(mockLink.click).toHaveBeenCalled();
+    });
+
+    test('should not export an empty drawing', () => {
+      global.drawingPaths = [];
+
+      exportSVG();
+
+      expect(global.Blob).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PDF Export Functionality', () => {
+    const decode = (bytes) => Array.from(bytes, b => String.fromCharCode(b)).join('');
+
+    test('should fit a landscape drawing onto a landscape A4 page', () => {
+      const layout = computePDFLayout({ pageSize: 'a4', orientation: 'auto', margin: 10, scaling: 'fit' }, 800, 600);
+
+      expect(layout.pageWidth).toBeCloseTo(841.89);
+      expect(layout.pageHeight).toBeCloseTo(595.28);
+      // Height is the limiting side: page height minus two 10mm margins
+      expect(layout.height).toBeCloseTo(595.28 - 2 * 10 * 72 / 25.4);
+      expect(layout.width / layout.height).toBeCloseTo(800 / 600);
+      expect(layout.x).toBeCloseTo((841.89 - layout.width) / 2);
+    });
+
+    test('should honour an explicit orientation and Letter size', () => {
+      const layout = computePDFLayout({ pageSize: 'letter', orientation: 'portrait', margin: 0, scaling: 'fit' }, 800, 600);
+
+      expect(layout.pageWidth).toBe(612);
+      expect(layout.pageHeight).toBe(792);
+      expect(layout.width).toBeCloseTo(612);
+    });
+
+    test('should use custom page sizes in millimetres', () => {
+      const layout = computePDFLayout({ pageSize: 'custom', customWidth: 100, customHeight: 100, margin: 0, scaling: 'fit' }, 400, 400);
+
+      expect(layout.pageWidth).toBeCloseTo(100 * 72 / 25.4);
+      expect(layout.width).toBeCloseTo(layout.pageWidth);
+    });
+
+    test('should map CSS pixels to points at 1:1 and anchor oversized output top-left', () => {
+      const small = computePDFLayout({ pageSize: 'a4', orientation: 'portrait', margin: 0, scaling: 'actual' }, 200, 100, 2);
+      expect(small.width).toBeCloseTo(75);
+      expect(small.height).toBeCloseTo(37.5);
+
+      const large = computePDFLayout({ pageSize: 'a4', orientation: 'portrait', margin: 0, scaling: 'actual' }, 4000, 4000);
+      expect(large.x).toBe(0);
+      expect(large.y + large.height).toBeCloseTo(841.89);
+    });
+
+    test('should reject margins that leave no printable area', () => {
+      expect(() => computePDFLayout({ pageSize: 'custom', customWidth: 50, customHeight: 50, margin: 30 }, 10, 10))
+        .toThrow('Margins leave no room on the page');
+    });
+
+    test('should write a well-formed PDF with a correct cross-reference table', () => {
+      const jpeg = { width: 2, height: 1, data: new Uint8Array([0xff, 0xd8, 0xff, 0xd9]) };
+      const layout = computePDFLayout({ pageSize: 'a4' }, 2, 1);
+
+      const text = decode(buildPDFDocument(jpeg, layout));
+
+      expect(text.startsWith('%PDF-1.4')).toBe(true);
+      expect(text).toContain('/Filter /DCTDecode /Length 4');
+      expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+
+      const xrefAt = Number(/startxref\n(\d+)/.exec(text)[1]);
+      expect(text.slice(xrefAt, xrefAt + 4)).toBe('xref');
+      const offsets = text.slice(xrefAt).match(/^\d{10} 00000 n $/gm).map(line => Number(line.slice(0, 10)));
+      expect(offsets).toHaveLength(5);
+      offsets.forEach((offset, index) => {
+        expect(text.slice(offset, offset + 8)).toBe(`${index + 1} 0 obj\n`);
+      });
+    });
+
+    test('should flatten the document and download a .pdf file', () => {
+      global.drawingPaths = [{ tool: 'image', image: { width: 10, height: 10 }, x: 0, y: 0, width: 10, height: 10, layerId: null }];
+      const mockLink = { download: '', click: jest.fn(), href: '' };
+      document.createElement.mockImplementation((tag) => {
+        if (tag === 'canvas') {
+          return {
+            getContext: jest.fn(() => mockContext),
+            toDataURL: jest.fn(() => `data:image/jpeg;base64,${btoa('\xff\xd8\xff\xd9')}`),
+            width: 800,
+            height: 600
+          };
+        }
+        return mockLink;
+      });
+
+      exportPDF({ pageSize: 'letter' });
+
+      expect(mockContext.drawImage).toHaveBeenCalled();
+      expect(global.Blob).toHaveBeenCalledWith([expect.any(Uint8Array)], { type: 'application/pdf' });
+      expect(mockLink.download).toMatch(/thick-lines-drawing_.*\.pdf$/);
+      expect(mockLink.click).toHaveBeenCalled();
+    });
+
+    test('should report browsers that cannot encode JPEG', () => {
+      global.drawingPaths = [{ tool: 'image', image: { width: 10, height: 10 }, x: 0, y: 0, width: 10, height: 10, layerId: null }];
+
+      exportPDF();
+
+      expect(global.Blob).not.toHaveBeenCalled();
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Error in exportPDF'), expect.any(Error));
+    });
+
+    test('should export with the default page options when the page has no dialog', async () => {
+      global.drawingPaths = [{ tool: 'image', image: { width: 10, height: 10 }, x: 0, y: 0, width: 10, height: 10, layerId: null }];
+      const original = appModule.exportPDF;
+      const originalGetElementById = document.getElementById;
+      appModule.exportPDF = jest.fn();
+      document.getElementById = jest.fn(() => null);
+
+      try {
+        await promptExportPDF();
+        expect(appModule.exportPDF).toHaveBeenCalledWith({ pageSize: 'a4', orientation: 'auto', margin: 10, scaling: 'fit', customWidth: 210, customHeight: 297 });
+      } finally {
+        appModule.exportPDF = original;
+        document.getElementById = originalGetElementById;
+      }
+    });
+  });
+
   describe('Clipboard Integration with Context Menu', () => {
     test('should handle context menu copy action', () => {
       global.undoStack = ['data:image/png;base64,test-drawing'];
@@ -375,6 +668,44 @@ describe('Clipboard Operations and Export (unit)', () => {
       expect(navigator.clipboard.write).toHaveBeenCalled();
     });
 
+    test('should paste as a floating selection centred in the view', async () => {
+      global.canvas.getBoundingClientRect = jest.fn(() => ({ left: 0, top: 0, width: 800, height: 600 }));
+      global.zoomLevel = 2;
+      global.copiedRegion = { width: 100, height: 50 };
+
+      try {
+        await pasteSelection();
+
+        const pasted = global.drawingPaths[global.drawingPaths.length - 1];
+        expect(pasted).toMatchObject({ tool: 'image', x: 150, y: 125, width: 100, height: 50 });
+        expect(appModule.selectionMode).toBe(true);
+        expect(appModule.floatingSelection).toBe(pasted);
+        expect(global.undoStack[global.undoStack.length - 1]).toBeInstanceOf(SelectionCommand);
+      } finally {
+        global.zoomLevel = 1;
+      }
+    });
+
+    test('should paste under the pointer when it is over the canvas', async () => {
+      global.canvas.getBoundingClientRect = jest.fn(() => ({ left: 0, top: 0, width: 800, height: 600 }));
+      global.copiedRegion = { width: 100, height: 50 };
+      handleMouseMove({ clientX: 300, clientY: 200, preventDefault: jest.fn() });
+
+      await pasteSelection();
+
+      expect(appModule.floatingSelection).toMatchObject({ x: 250, y: 175 });
+    });
+
+    test('should drop the pasted selection on Escape', async () => {
+      global.copiedRegion = { width: 100, height: 50 };
+
+      await pasteSelection();
+      handleEscapeKey();
+
+      expect(global.drawingPaths).toHaveLength(0);
+      expect(global.undoStack).toHaveLength(0);
+    });
+
     test('should handle context menu cut action', () => {
       global.undoStack = ['data:image/png;base64,test-drawing'];
 
@@ -405,8 +736,8 @@ describe('Clipboard Operations and Export (unit)', () => {
       expect(() => cutSelection()).not.toThrow();
     });
 
-    test('should handle export with null undoStack', () => {
-      global.undoStack = null;
+    test('should handle export with null document', () => {
+      global.drawingPaths = null;
 
       expect(() => exportCanvas()).not.toThrow();
     });
@@ -476,7 +807,7 @@ describe('Clipboard Operations and Export (unit)', () => {
 
   describe('Performance Considerations', () => {
     test('should handle large canvas export efficiently', () => {
-      global.undoStack = ['data:image/png;base64,' + 'x'.repeat(10000)]; // Large data URL
+      global.drawingPaths = Array(200).fill(0).map((_, i) => ({ tool: 'pen', color: '#ef4444', size: 5, points: [{ x: i, y: i }], layerId: null }));
 
       const startTime = performance.now();
       exportCanvas();
@@ -504,7 +835,7 @@ describe('Clipboard Operations and Export (unit)', () => {
 
   describe('Memory Management', () => {
     test('should clean up temporary elements after export', (done) => {
-      global.undoStack = ['data:image/png;base64,test-drawing'];
+      global.drawingPaths = [{ tool: 'pen', color: '#ef4444', size: 5, points: [{ x: 1, y: 1 }], layerId: null }];
 
       const mockLink = {
         download: '',
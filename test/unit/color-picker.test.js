@@ -0,0 +1,151 @@
+/**
+ * Unit Tests for the Color Picker and Palettes
+ * Tests color parsing and conversion, saved swatches and key bindings, recent colors and palette files
+ */
+
+require('../../app.js');
+
+describe('Color Picker and Palettes (unit)', () => {
+  const pressKey = key => handleKeyDown({ key, target: { tagName: 'DIV' }, preventDefault: jest.fn() });
+
+  beforeEach(() => {
+    localStorage.clear();
+    appModule.userSwatches = [];
+    appModule.recentColors = [];
+    global.currentColor = '#ef4444';
+  });
+
+  test('should parse hex and rgb()/rgba() colors', () => {
+    expect(parseColor('#3b82f6')).toEqual({ r: 59, g: 130, b: 246, a: 1 });
+    expect(parseColor('#fA0')).toEqual({ r: 255, g: 170, b: 0, a: 1 });
+    expect(parseColor('rgba(16, 185, 129, 0.5)')).toEqual({ r: 16, g: 185, b: 129, a: 0.5 });
+    expect(parseColor('rgb(1,2,3)')).toEqual({ r: 1, g: 2, b: 3, a: 1 });
+    expect(parseColor('#12345')).toBeNull();
+    expect(parseColor(42)).toBeNull();
+  });
+
+  test('should format opaque colors as hex and translucent ones as rgba()', () => {
+    expect(formatColor({ r: 255, g: 0, b: 0, a: 1 })).toBe('#ff0000');
+    expect(formatColor({ r: 255, g: 0, b: 0, a: 0.333 })).toBe('rgba(255, 0, 0, 0.33)');
+    expect(colorWithAlpha('#ff0000', 0.25)).toBe('rgba(255, 0, 0, 0.25)');
+    expect(colorWithAlpha('rgba(255, 0, 0, 0.5)', 0.5)).toBe('rgba(255, 0, 0, 0.25)');
+  });
+
+  test('should convert between RGB and HSV', () => {
+    expect(rgbToHsv(255, 0, 0)).toEqual({ h: 0, s: 1, v: 1 });
+    expect(rgbToHsv(0, 0, 0)).toEqual({ h: 0, s: 0, v: 0 });
+    expect(hsvToRgb(120, 1, 1)).toEqual({ r: 0, g: 255, b: 0 });
+
+    const { h, s, v } = rgbToHsv(59, 130, 246);
+    expect(hsvToRgb(h, s, v)).toEqual({ r: 59, g: 130, b: 246 });
+  });
+
+  test('the picker should keep opacity alongside the color', () => {
+    setPickerColor('rgba(59, 130, 246, 0.5)');
+    expect(getPickerColor()).toBe('rgba(59, 130, 246, 0.5)');
+
+    // Typing a hex value leaves the opacity alone when asked to
+    setPickerColor('#ff0000', { keepAlpha: true });
+    expect(getPickerColor()).toBe('rgba(255, 0, 0, 0.5)');
+  });
+
+  test('should save swatches to localStorage and load them back', () => {
+    expect(addSwatch('#10B981')).toBe(true);
+    expect(addSwatch('rgba(0, 0, 0, 0.5)')).toBe(true);
+    expect(addSwatch('#10b981')).toBe(false);
+
+    appModule.userSwatches = [];
+    loadPalette();
+    expect(appModule.userSwatches).toEqual([
+      { color: '#10b981', key: null },
+      { color: 'rgba(0, 0, 0, 0.5)', key: null }
+    ]);
+
+    removeSwatch(0);
+    loadPalette();
+    expect(appModule.userSwatches).toHaveLength(1);
+  });
+
+  test('binding a key should move it off any other swatch', () => {
+    addSwatch('#111111');
+    addSwatch('#222222');
+
+    bindSwatchKey(0, '1');
+    bindSwatchKey(1, '1');
+
+    expect(appModule.userSwatches.map(s => s.key)).toEqual([null, '1']);
+    bindSwatchKey(1, null);
+    expect(appModule.userSwatches[1].key).toBeNull();
+  });
+
+  test('number keys should pick bound swatches before the built-in colors', () => {
+    addSwatch('#123456');
+    bindSwatchKey(0, '5');
+
+    pressKey('5');
+    expect(global.currentColor).toBe('#123456');
+
+    // Unbound keys still press the built-in color buttons
+    const buttons = document.querySelectorAll('.color-btn');
+    document.querySelectorAll = jest.fn(() => buttons);
+    pressKey('2');
+    expect(buttons[1].click).toHaveBeenCalled();
+    expect(global.currentColor).toBe('#123456');
+  });
+
+  test('should keep a short most-recent-first list of used colors', () => {
+    setActiveColor('#111111');
+    setActiveColor('#222222');
+    setActiveColor('#111111');
+    expect(appModule.recentColors).toEqual(['#111111', '#222222']);
+
+    for (let i = 0; i < 15; i++) recordRecentColor(rgbToHex(i, i, i));
+    expect(appModule.recentColors).toHaveLength(10);
+    expect(appModule.recentColors[0]).toBe('#0e0e0e');
+    expect(JSON.parse(localStorage.getItem('thick-lines-recent-colors'))).toEqual(appModule.recentColors);
+  });
+
+  test('should validate palette files', () => {
+    const swatches = normalizePalette({
+      swatches: [
+        { color: '#ABCDEF', key: '2' },
+        { color: 'javascript:alert(1)' },
+        { color: '#000000', key: '2' },
+        { color: '#ffffff', key: '9' }
+      ]
+    });
+    expect(swatches).toEqual([
+      { color: '#abcdef', key: '2' },
+      { color: '#000000', key: null },
+      { color: '#ffffff', key: null }
+    ]);
+
+    expect(() => normalizePalette({ colors: [] })).toThrow('not a palette file');
+  });
+
+  test('should export and import palettes as JSON', () => {
+    addSwatch('#abcdef');
+    bindSwatchKey(0, '3');
+
+    const blobs = [];
+    const OriginalBlob = global.Blob;
+    global.Blob = jest.fn((parts, options) => {
+      blobs.push(parts.join(''));
+      return new OriginalBlob(parts, options);
+    });
+    try {
+      exportPalette();
+    } finally {
+      global.Blob = OriginalBlob;
+    }
+    const exported = JSON.parse(blobs[0]);
+    expect(exported).toMatchObject({ type: 'thick-lines-palette', version: 1, swatches: [{ color: '#abcdef', key: '3' }] });
+
+    appModule.userSwatches = [];
+    expect(loadPaletteFile(blobs[0])).toBe(true);
+    expect(appModule.userSwatches).toEqual([{ color: '#abcdef', key: '3' }]);
+
+    expect(loadPaletteFile('{ nope')).toBe(false);
+    expect(appModule.userSwatches).toHaveLength(1);
+  });
+});
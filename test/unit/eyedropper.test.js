@@ -0,0 +1,93 @@
+/**
+ * Unit Tests for the Eyedropper
+ * Tests sampling the composited colour, Alt-click with the pen, and returning to the previous tool
+ */
+
+require('../../app.js');
+
+describe('Eyedropper (unit)', () => {
+  let offscreenCtx;
+
+  const click = (x, y, extra = {}) => handleMouseDown({ button: 0, clientX: x, clientY: y, preventDefault: jest.fn(), ...extra });
+
+  beforeEach(() => {
+    offscreenCtx = document.createElement('canvas').getContext('2d');
+    offscreenCtx.getImageData.mockClear();
+    offscreenCtx.translate.mockClear();
+
+    global.canvas = {
+      width: 800,
+      height: 600,
+      style: {},
+      getBoundingClientRect: jest.fn(() => ({ left: 0, top: 0, width: 800, height: 600 }))
+    };
+    global.ctx = offscreenCtx;
+    global.drawingPaths = [];
+    global.undoStack = [];
+    global.redoStack = [];
+    global.zoomLevel = 1;
+    global.panOffsetX = 0;
+    global.panOffsetY = 0;
+    global.isDrawing = false;
+    global.currentTool = 'pen';
+    global.currentColor = '#ef4444';
+  });
+
+  test('should format channels as hex', () => {
+    expect(rgbToHex(16, 185, 129)).toBe('#10b981');
+    expect(rgbToHex(0, 0, 0)).toBe('#000000');
+  });
+
+  test('should sample the composited pixel under the point', () => {
+    offscreenCtx.getImageData.mockReturnValueOnce({ data: [59, 130, 246, 255] });
+
+    expect(sampleCompositeColor(120.7, 45.2)).toBe('#3b82f6');
+    expect(offscreenCtx.translate).toHaveBeenCalledWith(-120, -45);
+    expect(offscreenCtx.getImageData).toHaveBeenCalledWith(0, 0, 1, 1);
+  });
+
+  test('should not sample outside the canvas', () => {
+    expect(sampleCompositeColor(-1, 10)).toBeNull();
+    expect(sampleCompositeColor(10, 600)).toBeNull();
+    expect(sampleCompositeColor(NaN, 10)).toBeNull();
+  });
+
+  test('Alt-click with the pen should pick the colour without drawing', () => {
+    offscreenCtx.getImageData.mockReturnValueOnce({ data: [16, 185, 129, 255] });
+
+    click(50, 60, { altKey: true });
+
+    expect(global.currentColor).toBe('#10b981');
+    expect(global.currentTool).toBe('pen');
+    expect(global.isDrawing).toBe(false);
+    expect(global.drawingPaths).toHaveLength(0);
+  });
+
+  test('the eyedropper tool should hand back to the tool it was picked from', () => {
+    setTool('eraser');
+    handleKeyDown({ key: 'i', target: { tagName: 'DIV' }, preventDefault: jest.fn() });
+    expect(global.currentTool).toBe('eyedropper');
+
+    offscreenCtx.getImageData.mockReturnValueOnce({ data: [245, 158, 11, 255] });
+    click(10, 10);
+
+    expect(global.currentColor).toBe('#f59e0b');
+    expect(global.currentTool).toBe('eraser');
+  });
+
+  test('should keep the current colour when nothing can be sampled', () => {
+    global.currentTool = 'eyedropper';
+
+    expect(pickColorAt(-5, -5)).toBeNull();
+    expect(global.currentColor).toBe('#ef4444');
+    expect(global.currentTool).toBe('eyedropper');
+  });
+
+  test('should run picked colours through validateColor', () => {
+    global.currentColor = '#3b82f6';
+
+    // Falls back to the default red
+    setActiveColor('not-a-colour');
+    expect(global.currentColor).toBe('#ef4444');
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Unit Tests for the Flood Fill Tool
+ * Tests region detection, tolerance, anti-aliased edges, time slicing, layer sampling and undo
+ */
+
+require('../../app.js');
+
+describe('Flood Fill (unit)', () => {
+  let mockContext;
+
+  // Transparent image with optional opaque pixels, as ImageData
+  const image = (width, height, paint = () => null) => {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const rgba = paint(x, y);
+        if (rgba) data.set(rgba, (y * width + x) * 4);
+      }
+    }
+    return { width, height, data };
+  };
+
+  const BLACK = [0, 0, 0, 255];
+
+  beforeEach(() => {
+    mockContext = {
+      save: jest.fn(),
+      restore: jest.fn(),
+      beginPath: jest.fn(),
+      moveTo: jest.fn(),
+      lineTo: jest.fn(),
+      stroke: jest.fn(),
+      fillRect: jest.fn(),
+      drawImage: jest.fn(),
+      setTransform: jest.fn(),
+      globalCompositeOperation: 'source-over'
+    };
+
+    global.canvas = {
+      width: 40,
+      height: 30,
+      style: {},
+      getBoundingClientRect: jest.fn(() => ({ left: 0, top: 0, width: 40, height: 30 }))
+    };
+    global.ctx = mockContext;
+    global.drawingPaths = [];
+    global.undoStack = [];
+    global.redoStack = [];
+    global.zoomLevel = 1;
+    global.panOffsetX = 0;
+    global.panOffsetY = 0;
+    global.currentTool = 'fill';
+    global.currentColor = '#ef4444';
+    appModule.fillTolerance = 32;
+    appModule.fillSampleAllLayers = false;
+  });
+
+  test('should fill the region around the start and stop at lines', async () => {
+    // Vertical line at x = 5 splits the image in two
+    const fill = await computeFloodFill(image(12, 6, x => (x === 5 ? BLACK : null)), 1, 1, 0);
+
+    expect(fill.bounds).toEqual({ x: 0, y: 0, width: 5, height: 6 });
+    expect(fill.mask[2 * 12 + 4]).toBe(255);
+    expect(fill.mask[2 * 12 + 5]).toBe(0);
+    expect(fill.mask[2 * 12 + 8]).toBe(0);
+  });
+
+  test('should treat colours within the tolerance as part of the region', async () => {
+    const source = image(10, 4, x => (x >= 5 ? [20, 20, 20, 255] : BLACK));
+
+    const exact = await computeFloodFill(source, 0, 0, 0);
+    expect(exact.bounds.width).toBe(5);
+
+    const loose = await computeFloodFill(source, 0, 0, 32);
+    expect(loose.bounds.width).toBe(10);
+  });
+
+  test('should give anti-aliased edge pixels partial coverage', async () => {
+    // Half-transparent edge pixel at x = 4 in front of an opaque line at x = 5
+    const source = image(10, 3, x => {
+      if (x === 4) return [0, 0, 0, 128];
+      return x === 5 ? BLACK : null;
+    });
+
+    const fill = await computeFloodFill(source, 0, 1, 0);
+
+    expect(fill.mask[10 + 3]).toBe(255);
+    expect(fill.mask[10 + 4]).toBeGreaterThan(120);
+    expect(fill.mask[10 + 4]).toBeLessThan(135);
+    expect(fill.mask[10 + 5]).toBe(0);
+    expect(fill.bounds.width).toBe(5);
+  });
+
+  test('should return null when the start is outside the image', async () => {
+    await expect(computeFloodFill(image(4, 4), 4, 0, 0)).resolves.toBeNull();
+    await expect(computeFloodFill(image(4, 4), -1, 2, 0)).resolves.toBeNull();
+  });
+
+  test('should yield to the browser during long fills', async () => {
+    let now = 0;
+    jest.spyOn(performance, 'now').mockImplementation(() => (now += 5));
+    const timeoutSpy = jest.spyOn(global, 'setTimeout');
+
+    try {
+      // Rows alternate open and blocked so the fill needs many spans
+      const source = image(300, 300, (x, y) => (y % 2 === 1 && x !== (y % 4 === 1 ? 299 : 0) ? BLACK : null));
+      const fill = await computeFloodFill(source, 0, 0, 0);
+
+      expect(fill.bounds.height).toBe(300);
+      expect(timeoutSpy).toHaveBeenCalledWith(expect.any(Function), 0);
+    } finally {
+      timeoutSpy.mockRestore();
+      performance.now.mockRestore();
+    }
+  });
+
+  test('should add the fill as one undoable image item', async () => {
+    const original = appModule.readFillSource;
+    appModule.readFillSource = jest.fn(() => image(40, 30, x => (x === 20 ? BLACK : null)));
+
+    try {
+      const filled = await floodFillAt(3.6, 4.2);
+
+      expect(filled).toBe(true);
+      expect(appModule.readFillSource).toHaveBeenCalledWith(false);
+      expect(global.drawingPaths).toHaveLength(1);
+      expect(global.drawingPaths[0]).toMatchObject({ tool: 'image', x: 0, y: 0, width: 20, height: 30, rotation: 0 });
+      expect(global.undoStack).toHaveLength(1);
+
+      undo();
+      expect(global.drawingPaths).toHaveLength(0);
+    } finally {
+      appModule.readFillSource = original;
+    }
+  });
+
+  test('should fill at the screen pixel ratio and place the fill at document size', async () => {
+    const original = appModule.readFillSource;
+    appModule.readFillSource = jest.fn(() => image(80, 60, x => (x === 40 ? BLACK : null)));
+    appModule.canvasPixelRatio = 2;
+
+    try {
+      expect(await floodFillAt(3.6, 4.2)).toBe(true);
+      expect(global.drawingPaths[0]).toMatchObject({ x: 0, y: 0, width: 20, height: 30 });
+      expect(global.drawingPaths[0].image.width).toBe(40);
+    } finally {
+      appModule.readFillSource = original;
+      appModule.canvasPixelRatio = 1;
+    }
+  });
+
+  test('should pass the sampling mode through and ignore clicks outside the canvas', async () => {
+    const original = appModule.readFillSource;
+    appModule.readFillSource = jest.fn(() => image(40, 30));
+    appModule.fillSampleAllLayers = true;
+
+    try {
+      await expect(floodFillAt(-10, 5)).resolves.toBe(false);
+      expect(appModule.readFillSource).toHaveBeenCalledWith(true);
+      expect(global.drawingPaths).toHaveLength(0);
+    } finally {
+      appModule.readFillSource = original;
+    }
+  });
+
+  test('should sample only current-layer items unless all layers are requested', () => {
+    const original = appModule.renderPath;
+    appModule.renderPath = jest.fn();
+    global.drawingPaths = [
+      { tool: 'pen', points: [], layerId: null },
+      { tool: 'pen', points: [], layerId: 'other' }
+    ];
+
+    try {
+      expect(readFillSource(false)).toBeTruthy();
+      expect(appModule.renderPath).toHaveBeenCalledTimes(1);
+
+      appModule.renderPath.mockClear();
+      readFillSource(true);
+      expect(appModule.renderPath).toHaveBeenCalledTimes(2);
+    } finally {
+      appModule.renderPath = original;
+    }
+  });
+
+  test('G should pick the fill tool and Shift+G should toggle layer sampling', () => {
+    global.currentTool = 'pen';
+
+    handleKeyDown({ key: 'g', target: { tagName: 'DIV' }, preventDefault: jest.fn() });
+    expect(global.currentTool).toBe('fill');
+
+    handleKeyDown({ key: 'G', shiftKey: true, target: { tagName: 'DIV' }, preventDefault: jest.fn() });
+    expect(appModule.fillSampleAllLayers).toBe(true);
+  });
+
+  test('should only accept offered tolerances', () => {
+    selectFillTolerance(64);
+    expect(appModule.fillTolerance).toBe(64);
+
+    selectFillTolerance(50);
+    expect(appModule.fillTolerance).toBe(64);
+  });
+});
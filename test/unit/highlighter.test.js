@@ -0,0 +1,128 @@
+/**
+ * Unit Tests for Stroke Opacity and the Highlighter
+ * Tests that translucent strokes are composited once, the highlighter's flat multiplied stroke,
+ * the pen opacity setting, and saving both in project files
+ */
+
+require('../../app.js');
+
+describe('Stroke Opacity and Highlighter (unit)', () => {
+  let mockContext;
+
+  const stroke = (overrides = {}) => ({
+    tool: 'pen',
+    color: '#ef4444',
+    size: 10,
+    layerId: null,
+    points: [{ x: 10, y: 10, width: 10 }, { x: 30, y: 12, width: 10 }, { x: 12, y: 14, width: 10 }],
+    ...overrides
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+    mockContext = {
+      save: jest.fn(),
+      restore: jest.fn(),
+      beginPath: jest.fn(),
+      arc: jest.fn(),
+      fill: jest.fn(),
+      fillRect: jest.fn(),
+      moveTo: jest.fn(),
+      lineTo: jest.fn(),
+      quadraticCurveTo: jest.fn(),
+      stroke: jest.fn(),
+      drawImage: jest.fn(),
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over'
+    };
+    global.ctx = mockContext;
+    global.drawingPaths = [];
+    global.currentTool = 'pen';
+    appModule.penOpacity = 1;
+  });
+
+  test('should tell which strokes need compositing as a whole', () => {
+    expect(isTranslucentStroke(stroke())).toBe(false);
+    expect(isTranslucentStroke(stroke({ opacity: 0.5 }))).toBe(true);
+    expect(isTranslucentStroke(stroke({ color: 'rgba(239, 68, 68, 0.5)' }))).toBe(true);
+    expect(isTranslucentStroke(stroke({ tool: 'highlighter' }))).toBe(true);
+    expect(isTranslucentStroke(stroke({ tool: 'eraser', opacity: 0.5 }))).toBe(false);
+
+    expect(strokeOpacity(stroke({ color: 'rgba(239, 68, 68, 0.5)', opacity: 0.5 }))).toBeCloseTo(0.25);
+  });
+
+  test('opaque pen strokes should still be painted segment by segment', () => {
+    renderPath(mockContext, stroke());
+
+    expect(mockContext.arc).toHaveBeenCalledTimes(1);
+    expect(mockContext.stroke).toHaveBeenCalledTimes(2);
+    expect(mockContext.drawImage).not.toHaveBeenCalled();
+    expect(mockContext.globalAlpha).toBe(1);
+  });
+
+  test('translucent pen strokes should be drawn opaque off-screen and composited once', () => {
+    renderPath(mockContext, stroke({ opacity: 0.5 }));
+
+    expect(mockContext.stroke).not.toHaveBeenCalled();
+    expect(mockContext.drawImage).toHaveBeenCalledTimes(1);
+    expect(mockContext.globalAlpha).toBe(0.5);
+
+    const bounds = getStrokeBounds(stroke());
+    expect(bounds).toEqual({ x: 4, y: 4, width: 32, height: 16 });
+    expect(mockContext.drawImage).toHaveBeenCalledWith(expect.anything(), 4, 4, 32, 16);
+  });
+
+  test('highlighter strokes should be one flat-tipped multiplied path', () => {
+    renderPath(mockContext, stroke({ tool: 'highlighter', size: 20, opacity: 0.4 }));
+
+    expect(mockContext.stroke).toHaveBeenCalledTimes(1);
+    expect(mockContext.beginPath).toHaveBeenCalledTimes(1);
+    expect(mockContext.arc).not.toHaveBeenCalled();
+    expect(mockContext.lineCap).toBe('butt');
+    expect(mockContext.lineWidth).toBe(20);
+    expect(mockContext.globalCompositeOperation).toBe('multiply');
+    expect(mockContext.globalAlpha).toBe(0.4);
+
+    // A click leaves a square mark
+    mockContext.fillRect.mockClear();
+    renderPath(mockContext, stroke({ tool: 'highlighter', size: 20, points: [{ x: 50, y: 50 }] }));
+    expect(mockContext.fillRect).toHaveBeenCalledWith(40, 40, 20, 20);
+  });
+
+  test('H should pick the highlighter and Ctrl+H should still toggle high contrast', () => {
+    handleKeyDown({ key: 'h', target: { tagName: 'DIV' }, preventDefault: jest.fn() });
+    expect(global.currentTool).toBe('highlighter');
+
+    setTool('pen');
+    handleKeyDown({ key: 'h', ctrlKey: true, target: { tagName: 'DIV' }, preventDefault: jest.fn() });
+    expect(global.currentTool).toBe('pen');
+  });
+
+  test('should validate and remember the pen opacity', () => {
+    setPenOpacity(0.35);
+    expect(appModule.penOpacity).toBe(0.35);
+    expect(localStorage.getItem('thick-lines-pen-opacity')).toBe('0.35');
+
+    // Out-of-range values fall back to fully opaque
+    setPenOpacity(0.01);
+    expect(appModule.penOpacity).toBe(1);
+
+    setPenOpacity(0.1);
+    setPenOpacity('nope');
+    expect(appModule.penOpacity).toBe(1);
+  });
+
+  test('should save and load stroke opacity and highlighter strokes', () => {
+    global.drawingPaths = [stroke({ opacity: 0.5 }), stroke({ tool: 'highlighter', size: 20, opacity: 0.4 }), stroke()];
+
+    const data = serializeProject();
+    expect(data.items[0].opacity).toBe(0.5);
+    expect(data.items[1]).toMatchObject({ tool: 'highlighter', opacity: 0.4 });
+    expect(data.items[2]).not.toHaveProperty('opacity');
+
+    expect(parseProject(JSON.stringify(data)).items).toHaveLength(3);
+
+    data.items[0].opacity = 2;
+    expect(() => parseProject(JSON.stringify(data))).toThrow('invalid stroke style');
+  });
+});
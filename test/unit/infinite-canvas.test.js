@@ -0,0 +1,166 @@
+/**
+ * Unit Tests for the Infinite Canvas
+ * Tests tile allocation on layers, compositing only the tiles in view, erasing without new tiles,
+ * board bounds for export and filling beyond the home page
+ */
+
+require('../../app.js');
+
+describe('Infinite Canvas (unit)', () => {
+  let mockContext;
+
+  const stroke = (points, overrides = {}) => ({
+    tool: 'pen',
+    color: '#3b82f6',
+    size: 10,
+    layerId: null,
+    points: points.map(([x, y]) => ({ x, y })),
+    ...overrides
+  });
+
+  const tileKeys = layer => [...layer.tiles.keys()].sort();
+
+  beforeEach(() => {
+    mockContext = {
+      save: jest.fn(),
+      restore: jest.fn(),
+      beginPath: jest.fn(),
+      moveTo: jest.fn(),
+      lineTo: jest.fn(),
+      quadraticCurveTo: jest.fn(),
+      stroke: jest.fn(),
+      fill: jest.fn(),
+      arc: jest.fn(),
+      drawImage: jest.fn(),
+      setTransform: jest.fn(),
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over'
+    };
+    global.canvas = {
+      width: 800,
+      height: 600,
+      style: {},
+      getBoundingClientRect: jest.fn(() => ({ left: 0, top: 0, width: 800, height: 600 }))
+    };
+    global.ctx = mockContext;
+    global.drawingPaths = [];
+    global.undoStack = [];
+    global.redoStack = [];
+    global.zoomLevel = 1;
+    global.panOffsetX = 0;
+    global.panOffsetY = 0;
+    appModule.layers = [new appModule.Layer('Background')];
+  });
+
+  afterEach(() => {
+    appModule.layers = [];
+  });
+
+  test('should create tiles only where a stroke passes', () => {
+    const layer = appModule.layers[0];
+    expect(layer.tiles.size).toBe(0);
+
+    // Crosses the tile edges at x = 0 and x = 512
+    paintItemOnLayer(layer, stroke([[-20, 10], [600, 10]]));
+    expect(tileKeys(layer)).toEqual(['-1,0', '0,0', '1,0']);
+
+    // A stroke far away gets its own tile and nothing in between
+    paintItemOnLayer(layer, stroke([[5000, 5000], [5010, 5000]]));
+    expect(layer.tiles.size).toBe(4);
+    expect(layer.getTile(9, 9)).toMatchObject({ x: 4608, y: 4608 });
+    expect(layer.getBounds()).toEqual({ x: -512, y: 0, width: 5632, height: 5120 });
+  });
+
+  test('erasing should never create tiles', () => {
+    const layer = appModule.layers[0];
+    paintItemOnLayer(layer, stroke([[2000, 2000], [2100, 2000]], { tool: 'eraser' }));
+    paintItemOnLayer(layer, { tool: 'clear', layerId: null, points: [{ x: 0, y: 0 }, { x: 50, y: 0 }, { x: 50, y: 50 }] });
+    expect(layer.tiles.size).toBe(0);
+
+    paintItemOnLayer(layer, stroke([[10, 10], [20, 10]]));
+    const tile = layer.getTile(0, 0);
+    tile.ctx.setTransform.mockClear();
+    paintItemOnLayer(layer, stroke([[10, 10], [20, 10]], { tool: 'eraser' }));
+    expect(tile.ctx.setTransform).toHaveBeenCalledWith(1, 0, 0, 1, -0, -0);
+    expect(layer.tiles.size).toBe(1);
+  });
+
+  test('should composite only the tiles in view', () => {
+    const layer = appModule.layers[0];
+    global.drawingPaths = [stroke([[10, 10], [20, 10]]), stroke([[5000, 5000], [5010, 5000]])];
+    global.drawingPaths.forEach(item => { item.layerId = layer.id; });
+    renderLayer(layer);
+
+    const target = { save: jest.fn(), restore: jest.fn(), drawImage: jest.fn() };
+    compositeDocument(target);
+    expect(target.drawImage).toHaveBeenCalledTimes(1);
+    expect(target.drawImage).toHaveBeenCalledWith(layer.getTile(0, 0).canvas, 0, 0, 512, 512);
+
+    // Pan the far tile into view
+    target.drawImage.mockClear();
+    global.panOffsetX = -4700;
+    global.panOffsetY = -4700;
+    compositeDocument(target);
+    expect(target.drawImage).toHaveBeenCalledTimes(1);
+    expect(target.drawImage).toHaveBeenCalledWith(layer.getTile(9, 9).canvas, 4608, 4608, 512, 512);
+  });
+
+  test('the board should grow to take in content beyond the home page', () => {
+    expect(getBoardBounds()).toEqual({ x: 0, y: 0, width: 800, height: 600 });
+
+    global.drawingPaths = [stroke([[-100, -50], [900, 10]])];
+    appModule.layers = [];
+    expect(getBoardBounds()).toEqual({ x: -105, y: -55, width: 1010, height: 655 });
+    expect(resolveExportRegion('full')).toEqual(getBoardBounds());
+
+    const svg = buildSVGDocument();
+    expect(svg).toContain('width="1010" height="655" viewBox="-105 -55 1010 655"');
+    expect(svg).toContain('<rect x="-105" y="-55" width="1010" height="655"');
+  });
+
+  test('the viewport region should follow pan and zoom', () => {
+    global.panOffsetX = 200;
+    global.panOffsetY = -100;
+    global.zoomLevel = 2;
+    expect(getViewportWorldRect()).toEqual({ x: -100, y: 50, width: 400, height: 300 });
+    expect(getFillArea()).toEqual({ x: -100, y: 50, width: 400, height: 300 });
+    expect(unionRects(null, { x: 1, y: 2, width: 3, height: 4 })).toEqual({ x: 1, y: 2, width: 3, height: 4 });
+  });
+
+  test('panning should repaint the view once per frame', () => {
+    const original = appModule.refreshCanvas;
+    const frames = [];
+    const rafSpy = jest.spyOn(window, 'requestAnimationFrame').mockImplementation(cb => frames.push(cb));
+    appModule.refreshCanvas = jest.fn();
+
+    try {
+      global.panOffsetX = -100;
+      applyTransform(false);
+      global.panOffsetX = -200;
+      applyTransform(false);
+      expect(frames).toHaveLength(1);
+      expect(mockContext.setTransform).toHaveBeenLastCalledWith(1, 0, 0, 1, -200, 0);
+
+      frames[0](0);
+      expect(appModule.refreshCanvas).toHaveBeenCalledTimes(1);
+    } finally {
+      rafSpy.mockRestore();
+      appModule.refreshCanvas = original;
+    }
+  });
+
+  test('should fill regions left of the home page', async () => {
+    const original = appModule.readFillSource;
+    const data = new Uint8ClampedArray(800 * 600 * 4);
+    appModule.readFillSource = jest.fn(() => ({ width: 800, height: 600, data }));
+    global.panOffsetX = 300;
+    global.currentColor = '#ef4444';
+
+    try {
+      expect(await floodFillAt(-250, 20)).toBe(true);
+      expect(global.drawingPaths[0]).toMatchObject({ tool: 'image', x: -300, y: 0, width: 800, height: 600 });
+    } finally {
+      appModule.readFillSource = original;
+    }
+  });
+});
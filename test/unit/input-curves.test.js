@@ -0,0 +1,141 @@
+/**
+ * Unit Tests for Input Curves
+ * Tests the bezier curve mapping, per-device pressure and velocity profiles, device detection,
+ * saving profiles and the curve editor handles
+ */
+
+require('../../app.js');
+
+describe('Input Curves (unit)', () => {
+  const profiles = () => appModule.inputProfiles;
+
+  beforeEach(() => {
+    localStorage.clear();
+    loadInputProfiles();
+    appModule.inputDevice = 'mouse';
+  });
+
+  test('should evaluate linear and eased curves', () => {
+    [0, 0.25, 0.5, 0.9, 1].forEach(x => {
+      expect(evaluateCurve([1 / 3, 1 / 3, 2 / 3, 2 / 3], x)).toBeCloseTo(x, 4);
+    });
+
+    // ease-in stays low early on, ease-out rises quickly
+    expect(evaluateCurve([0.42, 0, 1, 1], 0.25)).toBeLessThan(0.15);
+    expect(evaluateCurve([0, 0, 0.58, 1], 0.25)).toBeGreaterThan(0.35);
+    expect(evaluateCurve([0.42, 0, 1, 1], -1)).toBe(0);
+    expect(evaluateCurve([0.42, 0, 1, 1], 2)).toBeCloseTo(1);
+  });
+
+  test('default profiles should keep the original pressure and velocity mappings', () => {
+    expect(calculatePressureWidth(10, 0)).toBeCloseTo(1);
+    expect(calculatePressureWidth(10, 0.5)).toBeCloseTo(10.5);
+    expect(calculatePressureWidth(10, 1)).toBeCloseTo(20);
+
+    expect(velocityToWidthGeneric(0, 10)).toBeCloseTo(12.5);
+    expect(velocityToWidthGeneric(0.4, 10)).toBeCloseTo(3.5);
+    expect(velocityToWidthGeneric(5, 10)).toBeCloseTo(3.5);
+  });
+
+  test('should shape widths with the device profile in use', () => {
+    profiles().pen.pressure = { min: 0.5, max: 1.5, curve: [0.42, 0, 1, 1] };
+    appModule.inputDevice = 'pen';
+
+    expect(calculatePressureWidth(10, 0)).toBeCloseTo(5);
+    expect(calculatePressureWidth(10, 1)).toBeCloseTo(15);
+    expect(calculatePressureWidth(10, 0.25)).toBeLessThan(6.5);
+
+    // The other devices keep their own curves
+    expect(calculatePressureWidth(10, 1, getInputProfile('touch'))).toBeCloseTo(20);
+  });
+
+  test('should detect the device from the event', () => {
+    expect(detectInputDevice({ pointerType: 'pen' })).toBe('pen');
+    expect(detectInputDevice({ pointerType: 'touch' })).toBe('touch');
+    expect(detectInputDevice({ touches: [{}] })).toBe('touch');
+    expect(detectInputDevice({ clientX: 0 })).toBe('mouse');
+    expect(detectInputDevice({ pointerType: 'unknown' })).toBe('mouse');
+  });
+
+  test('a mouse should ignore pressure and use its velocity curve', () => {
+    const original = appModule.supportsPressure;
+    appModule.supportsPressure = true;
+    global.penSize = 10;
+    try {
+      const prev = { x: 0, y: 0, t: 0 };
+      const current = { x: 0, y: 0, t: 10, pressure: 1 };
+      expect(computeEffectivePenSize(prev, current)).not.toBeCloseTo(20);
+
+      appModule.inputDevice = 'pen';
+      expect(computeEffectivePenSize(prev, current)).toBeCloseTo(20);
+    } finally {
+      appModule.supportsPressure = original;
+    }
+  });
+
+  test('should save profiles and drop invalid stored values', () => {
+    profiles().touch.velocity.slow = 2;
+    profiles().touch.pressure.curve = [0.1, 0.2, 0.3, 0.4];
+    saveInputProfiles();
+
+    profiles().touch = createDefaultInputProfile();
+    loadInputProfiles();
+    expect(profiles().touch.velocity.slow).toBe(2);
+    expect(profiles().touch.pressure.curve).toEqual([0.1, 0.2, 0.3, 0.4]);
+
+    const profile = normalizeInputProfile({
+      pressure: { min: -1, max: 3, curve: [0, 0, 2, 1] },
+      velocity: { speed: 'fast' },
+      smoothing: 1
+    });
+    expect(profile.pressure).toEqual({ min: 0.1, max: 3, curve: [1 / 3, 1 / 3, 2 / 3, 2 / 3] });
+    expect(profile.velocity.speed).toBe(0.4);
+    expect(profile.smoothing).toBe(0.7);
+
+    localStorage.setItem('thick-lines-input-profiles', '{broken');
+    loadInputProfiles();
+    expect(profiles().touch).toEqual(createDefaultInputProfile());
+  });
+
+  test('resetting a device should restore only its defaults', () => {
+    profiles().pen.smoothing = 0.2;
+    profiles().touch.smoothing = 0.3;
+
+    resetInputProfile('pen');
+    expect(profiles().pen).toEqual(createDefaultInputProfile());
+    expect(profiles().touch.smoothing).toBe(0.3);
+    expect(JSON.parse(localStorage.getItem('thick-lines-input-profiles')).pen.smoothing).toBe(0.7);
+  });
+
+  test('the mouse tab should not offer pressure settings', () => {
+    const panel = { classList: { add: jest.fn(), remove: jest.fn(), contains: jest.fn(() => false) }, setAttribute: jest.fn(), removeAttribute: jest.fn() };
+    const pressureEditor = { setAttribute: jest.fn(), removeAttribute: jest.fn() };
+    const originalGetElementById = document.getElementById;
+    document.getElementById = jest.fn(id => ({ inputSettingsPanel: panel, pressureEditor })[id] || null);
+
+    try {
+      toggleInputSettings();
+      expect(pressureEditor.setAttribute).toHaveBeenCalledWith('hidden', '');
+
+      appModule.inputDevice = 'pen';
+      toggleInputSettings();
+      expect(pressureEditor.removeAttribute).toHaveBeenCalledWith('hidden');
+    } finally {
+      document.getElementById = originalGetElementById;
+    }
+  });
+
+  test('curve editor drags should move the nearer control point', () => {
+    // 160px editor with 10px padding: the curve spans 10-150
+    const editor = { width: 160, getBoundingClientRect: () => ({ left: 0, top: 0, width: 160, height: 160 }) };
+    const drag = (x, y) => ({ currentTarget: editor, clientX: x, clientY: y });
+    const curve = [0.25, 0.25, 0.75, 0.75];
+
+    expect(moveCurveHandle(drag(10, 150), curve, null)).toBe(0);
+    expect(curve).toEqual([0, 0, 0.75, 0.75]);
+
+    // A drag keeps its handle, and points outside the box are clamped
+    expect(moveCurveHandle(drag(200, -20), curve, 0)).toBe(0);
+    expect(curve).toEqual([1, 1, 0.75, 0.75]);
+  });
+});
@@ -243,7 +243,7 @@ describe('Input Handling (unit)', () => {
 
   describe('Keyboard Event Handling', () => {
     test('should handle undo shortcut (Ctrl+Z)', () => {
-      global.undoStack = ['state1', 'state2'];
+      global.undoStack = [new ClearCommand()];
       const mockEvent = {
         key: 'z',
         ctrlKey: true,
@@ -257,7 +257,7 @@ describe('Input Handling (unit)', () => {
     });
 
     test('should handle redo shortcut (Ctrl+Y)', () => {
-      global.redoStack = ['state1'];
+      global.redoStack = [new ClearCommand()];
       const mockEvent = {
         key: 'y',
         ctrlKey: true,
@@ -432,7 +432,7 @@ describe('Input Handling (unit)', () => {
     });
 
     test('should clamp zoom level within bounds', () => {
-      global.zoomLevel = 2.9;
+      global.zoomLevel = 31;
       const mockEvent = {
         ctrlKey: true,
         deltaY: -100,
@@ -443,7 +443,7 @@ describe('Input Handling (unit)', () => {
 
       handleWheel(mockEvent);
 
-      expect(global.zoomLevel).toBe(3.0); // Clamped to max
+      expect(global.zoomLevel).toBe(32); // Clamped to max (3200%)
     });
 
     test('should not zoom without Ctrl key', () => {
@@ -71,84 +71,35 @@ describe('Memory Management and Performance (unit)', () => {
     jest.clearAllMocks();
   });
 
-  describe('Undo Stack Management', () => {
-    test('should limit undo stack size to prevent memory issues', () => {
-      global.undoStack = [];
-
-      // Add more than the limit (30 + 5 extra)
-      for (let i = 0; i < 35; i++) {
-        global.undoStack.push(`data:image/png;base64,state-${i}`);
-      }
-
-      saveState();
-
-      // Should not exceed the limit
-      expect(global.undoStack.length).toBeLessThanOrEqual(31); // 30 limit + 1 new
-    });
-
-    test('should trim undo stack when memory conservation is needed', () => {
-      // Fill undo stack with many states
-      global.undoStack = [];
-      for (let i = 0; i < 25; i++) {
-        global.undoStack.push(`data:image/png;base64,state-${i}`);
-      }
-
-      const originalLength = global.undoStack.length;
-
-      trimUndoRedoStacks();
+  describe('Undo History Management', () => {
+    test('should store commands instead of canvas snapshots', () => {
+      saveState(new ClearCommand());
 
-      // Should keep only last 10 states + initial state
-      expect(global.undoStack.length).toBeLessThanOrEqual(10);
-      expect(global.undoStack.length).toBeLessThan(originalLength);
+      expect(mockCanvas.toDataURL).not.toHaveBeenCalled();
+      expect(global.undoStack[0]).toBeInstanceOf(ClearCommand);
     });
 
-    test('should preserve initial state when trimming', () => {
-      global.undoStack = [
-        'data:image/png;base64,initial-state',
-        ...Array(20).fill(0).map((_, i) => `data:image/png;base64,state-${i}`)
-      ];
-
-      trimUndoRedoStacks();
-
-      // Should keep the initial state
-      expect(global.undoStack[0]).toBe('data:image/png;base64,initial-state');
-    });
-
-    test('should clear redo stack during trimming', () => {
-      global.redoStack = Array(10).fill(0).map((_, i) => `data:image/png;base64,redo-${i}`);
-      global.undoStack = Array(15).fill(0).map((_, i) => `data:image/png;base64,undo-${i}`);
-
-      trimUndoRedoStacks();
-
-      expect(global.redoStack).toEqual([]);
-    });
-
-    test('should call garbage collection if available', () => {
-      global.undoStack = Array(20).fill(0).map((_, i) => `data:image/png;base64,state-${i}`);
-
-      trimUndoRedoStacks();
-
-      expect(global.gc).toHaveBeenCalled();
-    });
+    test('should reference stroke data rather than copy it', () => {
+      const path = { tool: 'pen', points: Array(100).fill({ x: 1, y: 1 }), layerId: null };
+      global.drawingPaths = [path];
 
-    test('should handle missing garbage collection gracefully', () => {
-      global.gc = undefined;
-      global.undoStack = Array(20).fill(0).map((_, i) => `data:image/png;base64,state-${i}`);
+      saveState(new DrawCommand(path));
 
-      expect(() => trimUndoRedoStacks()).not.toThrow();
+      expect(global.undoStack[0].path).toBe(path);
     });
   });
 
   describe('Drawing Path Memory Management', () => {
-    test('should clear drawing paths during memory cleanup', () => {
-      global.drawingPaths = [
+    test('should keep the document during memory cleanup', () => {
+      const paths = [
         { tool: 'pen', points: Array(100).fill({ x: 100, y: 100 }) },
         { tool: 'eraser', points: Array(50).fill({ x: 200, y: 200 }) }
       ];
+      global.drawingPaths = paths.slice();
 
       cleanupMemory();
 
-      expect(global.drawingPaths).toEqual([]);
+      expect(global.drawingPaths).toEqual(paths);
     });
 
     test('should clear copied region during cleanup', () => {
@@ -188,15 +139,14 @@ describe('Memory Management and Performance (unit)', () => {
       expect(cleanupSpy).toHaveBeenCalled();
     });
 
-    test('should restore canvas when page becomes visible', () => {
-      global.undoStack = ['data:image/png;base64,test-state'];
+    test('should redraw the document when page becomes visible', () => {
       document.hidden = false;
 
-      const loadStateSpy = jest.spyOn(global, 'loadState');
+      const refreshSpy = jest.spyOn(global, 'refreshCanvas');
 
       handleVisibilityChange();
 
-      expect(loadStateSpy).toHaveBeenCalledWith('data:image/png;base64,test-state');
+      expect(refreshSpy).toHaveBeenCalled();
     });
 
     test('should handle empty undo stack when becoming visible', () => {
@@ -301,28 +251,14 @@ describe('Memory Management and Performance (unit)', () => {
       }
     });
 
-    test('should prevent memory leaks during rapid drawing', () => {
+    test('should not retain in-progress path after drawing stops', () => {
       global.drawingPaths = [];
+      global.isDrawing = true;
+      global.currentPath = { tool: 'pen', points: [{ x: 1, y: 1 }], layerId: null };
 
-      // Simulate rapid drawing that could cause memory leaks
-      for (let i = 0; i < 100; i++) {
-        const path = {
-          tool: 'pen',
-          points: Array(50).fill().map((_, j) => ({
-            x: i + j,
-            y: i + j,
-            t: performance.now()
-          })),
-          color: '#ef4444',
-          size: 10
-        };
-        global.drawingPaths.push(path);
-      }
-
-      // Simulate cleanup
-      cleanupMemory();
+      stopDrawing();
 
-      expect(global.drawingPaths).toEqual([]);
+      expect(global.currentPath).toBeNull();
     });
   });
 
@@ -349,8 +285,7 @@ describe('Memory Management and Performance (unit)', () => {
 
       // Simulate heavy save operations
       for (let i = 0; i < 20; i++) {
-        mockCanvas.toDataURL = jest.fn(() => 'data:image/png;base64,' + 'x'.repeat(5000));
-        saveState();
+        saveState(new ClearCommand());
       }
 
       const endTime = performance.now();
@@ -360,21 +295,6 @@ describe('Memory Management and Performance (unit)', () => {
       expect(duration).toBeLessThan(1000);
     });
 
-    test('should schedule memory cleanup for large undo stacks', () => {
-      global.undoStack = [];
-      
-      // Fill stack beyond half limit
-      for (let i = 0; i < 20; i++) {
-        global.undoStack.push(`data:image/png;base64,state-${i}`);
-      }
-
-      const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
-
-      saveState();
-
-      // Should schedule cleanup for large stacks
-      expect(setTimeoutSpy).toHaveBeenCalledWith(expect.any(Function), 5000);
-    });
   });
 
   describe('Resource Management', () => {
@@ -416,28 +336,23 @@ describe('Memory Management and Performance (unit)', () => {
 
   describe('Edge Cases and Error Recovery', () => {
     test('should handle out of memory situations gracefully', () => {
-      // Simulate out of memory by making toDataURL fail
-      mockCanvas.toDataURL = jest.fn(() => {
+      // Simulate a failing UI update while recording history
+      document.getElementById = jest.fn(() => {
         throw new Error('Out of memory');
       });
 
-      expect(() => saveState()).not.toThrow();
-      
-      // Should handle error and continue functioning
-      expect(global.undoStack.length).toBe(0); // No state saved due to error
+      expect(() => saveState(new ClearCommand())).not.toThrow();
     });
 
-    test('should recover from memory pressure', () => {
-      // Simulate memory pressure
-      global.undoStack = Array(100).fill().map((_, i) => 
-        'data:image/png;base64,' + 'x'.repeat(1000)
-      );
+    test('should keep undo history when the page is hidden', () => {
+      const history = Array(100).fill().map(() => new ClearCommand());
+      global.undoStack = history.slice();
 
       document.hidden = true;
       handleVisibilityChange();
 
-      // Should trim stacks under memory pressure
-      expect(global.undoStack.length).toBeLessThanOrEqual(10);
+      // History is part of the document and survives memory cleanup
+      expect(global.undoStack).toEqual(history);
     });
 
     test('should handle rapid memory cleanup calls', () => {
@@ -446,7 +361,6 @@ describe('Memory Management and Performance (unit)', () => {
         cleanupMemory();
       }
 
-      expect(global.drawingPaths).toEqual([]);
       expect(global.copiedRegion).toBeNull();
     });
 
@@ -476,18 +390,8 @@ describe('Memory Management and Performance (unit)', () => {
       expect(gcSpy).not.toHaveBeenCalled();
     });
 
-    test('should defer expensive operations when document is hidden', () => {
-      document.hidden = true;
-      
-      const trimSpy = jest.spyOn(global, 'trimUndoRedoStacks');
-
-      handleVisibilityChange();
-
-      expect(trimSpy).toHaveBeenCalled();
-    });
-
     test('should maintain critical functionality during cleanup', () => {
-      global.undoStack = ['state1', 'state2', 'state3'];
+      global.undoStack = [new ClearCommand(), new ClearCommand()];
 
       cleanupMemory();
 
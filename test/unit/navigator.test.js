@@ -0,0 +1,191 @@
+/**
+ * Unit Tests for the Navigator
+ * Tests fitting the board into the thumbnail, the viewport rectangle, click and drag panning,
+ * collapsing and the once-per-frame repaint
+ */
+
+require('../../app.js');
+
+describe('Navigator (unit)', () => {
+  let originalGetElementById;
+  let navCanvas;
+  let navContext;
+  let panel;
+
+  // Pointer event at thumbnail coordinates (the thumbnail is shown at its pixel size)
+  const at = (x, y) => ({ button: 0, clientX: x, clientY: y, preventDefault: jest.fn() });
+
+  const viewCentre = () => {
+    const view = getViewportWorldRect();
+    return { x: view.x + view.width / 2, y: view.y + view.height / 2 };
+  };
+
+  // The app starts up on window load: let that and the repaints it queues finish first
+  beforeAll(async () => {
+    if (document.readyState !== 'complete') {
+      await new Promise(resolve => window.addEventListener('load', resolve));
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  });
+
+  beforeEach(() => {
+    navContext = {
+      save: jest.fn(),
+      restore: jest.fn(),
+      setTransform: jest.fn(),
+      fillRect: jest.fn(),
+      strokeRect: jest.fn(),
+      drawImage: jest.fn()
+    };
+    navCanvas = {
+      width: 200,
+      height: 140,
+      getContext: jest.fn(() => navContext),
+      addEventListener: jest.fn(),
+      getBoundingClientRect: jest.fn(() => ({ left: 0, top: 0, width: 200, height: 140 }))
+    };
+    panel = { classList: { add: jest.fn(), remove: jest.fn(), contains: jest.fn(() => false) } };
+
+    originalGetElementById = document.getElementById;
+    document.getElementById = jest.fn(id => {
+      if (id === 'navigatorCanvas') return navCanvas;
+      if (id === 'navigator') return panel;
+      return null;
+    });
+
+    global.canvas = {
+      width: 800,
+      height: 600,
+      style: {},
+      getBoundingClientRect: jest.fn(() => ({ left: 0, top: 0, width: 800, height: 600 }))
+    };
+    global.ctx = { setTransform: jest.fn() };
+    global.drawingPaths = [];
+    global.zoomLevel = 1;
+    global.panOffsetX = 0;
+    global.panOffsetY = 0;
+    appModule.navigatorCollapsed = false;
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    handleNavigatorUp();
+    document.getElementById = originalGetElementById;
+  });
+
+  test('should fit the board in the thumbnail with the view outlined', () => {
+    renderNavigator();
+
+    const { scale } = appModule.navigatorMapping;
+    expect(scale).toBeCloseTo(Math.min(200 / 800, 140 / 600) * 0.9);
+    const [x, y, width, height] = navContext.strokeRect.mock.calls[0];
+    expect(width).toBeCloseTo(800 * scale);
+    expect(height).toBeCloseTo(600 * scale);
+    expect(x + width / 2).toBeCloseTo(100);
+    expect(y + height / 2).toBeCloseTo(70);
+  });
+
+  test('the rectangle should follow zoom', () => {
+    global.zoomLevel = 2;
+    renderNavigator();
+
+    const { scale } = appModule.navigatorMapping;
+    const [, , width, height] = navContext.strokeRect.mock.calls[0];
+    expect(width).toBeCloseTo(400 * scale);
+    expect(height).toBeCloseTo(300 * scale);
+  });
+
+  test('clicking outside the rectangle should centre the view there', () => {
+    global.zoomLevel = 2;
+    renderNavigator();
+
+    handleNavigatorDown(at(180, 120));
+    const target = navigatorPointToDocument(at(180, 120));
+    expect(viewCentre().x).toBeCloseTo(target.x);
+    expect(viewCentre().y).toBeCloseTo(target.y);
+  });
+
+  test('dragging the rectangle should pan by the distance dragged', () => {
+    global.zoomLevel = 2;
+    renderNavigator();
+    const mapping = appModule.navigatorMapping;
+    const [x, y, width, height] = navContext.strokeRect.mock.calls[0];
+    const start = viewCentre();
+
+    // Grab off-centre: the view must not jump to the pointer
+    handleNavigatorDown(at(x + width / 2 + 5, y + height / 2));
+    expect(viewCentre()).toEqual(start);
+
+    handleNavigatorMove(at(x + width / 2 + 25, y + height / 2 + 10));
+    renderNavigator();
+    expect(appModule.navigatorMapping).toBe(mapping);
+    expect(viewCentre().x).toBeCloseTo(start.x + 20 / mapping.scale);
+    expect(viewCentre().y).toBeCloseTo(start.y + 10 / mapping.scale);
+
+    // Letting go fits the thumbnail to the board again
+    handleNavigatorUp();
+    renderNavigator();
+    expect(appModule.navigatorMapping).not.toBe(mapping);
+  });
+
+  test('collapsing should hide the thumbnail and be remembered', () => {
+    toggleNavigator();
+    expect(appModule.navigatorCollapsed).toBe(true);
+    expect(panel.classList.add).toHaveBeenCalledWith('collapsed');
+    expect(localStorage.getItem('thick-lines-navigator-collapsed')).toBe('true');
+
+    renderNavigator();
+    expect(navCanvas.getContext).not.toHaveBeenCalled();
+
+    appModule.navigatorCollapsed = false;
+    setupNavigator();
+    expect(appModule.navigatorCollapsed).toBe(true);
+
+    toggleNavigator();
+    expect(panel.classList.remove).toHaveBeenCalledWith('collapsed');
+    expect(navContext.strokeRect).toHaveBeenCalled();
+  });
+
+  test('refreshing the canvas should repaint the navigator once per frame', async () => {
+    // Let repaints queued by earlier tests run first
+    await new Promise(resolve => setTimeout(resolve, 100));
+    navContext.strokeRect.mockClear();
+    const frames = [];
+    const rafSpy = jest.spyOn(window, 'requestAnimationFrame').mockImplementation(cb => frames.push(cb));
+
+    try {
+      refreshCanvas();
+      refreshCanvas();
+      expect(frames).toHaveLength(1);
+      expect(navContext.strokeRect).not.toHaveBeenCalled();
+
+      frames[0](0);
+      expect(navContext.strokeRect).toHaveBeenCalledTimes(1);
+    } finally {
+      rafSpy.mockRestore();
+    }
+  });
+
+  test('strokes should repaint the navigator when they end, not every frame', async () => {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const frames = [];
+    const rafSpy = jest.spyOn(window, 'requestAnimationFrame').mockImplementation(cb => frames.push(cb));
+    global.undoStack = [];
+
+    try {
+      global.isDrawing = true;
+      refreshCanvas();
+      refreshCanvas();
+      expect(frames).toHaveLength(0);
+
+      global.isDrawing = false;
+      saveState(new appModule.DrawCommand({ tool: 'pen', points: [], layerId: null }));
+      expect(frames).toHaveLength(1);
+      frames[0](0);
+      expect(navContext.strokeRect).toHaveBeenCalled();
+    } finally {
+      global.isDrawing = false;
+      rafSpy.mockRestore();
+    }
+  });
+});
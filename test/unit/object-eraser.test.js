@@ -0,0 +1,148 @@
+/**
+ * Unit Tests for the Object Eraser
+ * Tests stroke and image hit-testing, whole-item removal and undo/redo
+ */
+
+require('../../app.js');
+
+describe('Object Eraser (unit)', () => {
+  let mockContext;
+
+  const stroke = (points, overrides = {}) => ({
+    tool: 'pen',
+    color: '#ef4444',
+    size: 10,
+    layerId: null,
+    points: points.map(([x, y]) => ({ x, y, width: 10 })),
+    ...overrides
+  });
+
+  const mouse = (type, x, y) => {
+    const event = { button: 0, clientX: x, clientY: y, preventDefault: jest.fn() };
+    if (type === 'down') handleMouseDown(event);
+    if (type === 'move') handleMouseMove(event);
+    if (type === 'up') handleMouseUp(event);
+  };
+
+  const swipe = (...points) => {
+    mouse('down', ...points[0]);
+    points.slice(1).forEach(point => mouse('move', ...point));
+    mouse('up', ...points[points.length - 1]);
+  };
+
+  beforeEach(() => {
+    mockContext = {
+      save: jest.fn(),
+      restore: jest.fn(),
+      beginPath: jest.fn(),
+      arc: jest.fn(),
+      fill: jest.fn(),
+      moveTo: jest.fn(),
+      lineTo: jest.fn(),
+      quadraticCurveTo: jest.fn(),
+      stroke: jest.fn(),
+      drawImage: jest.fn(),
+      fillRect: jest.fn(),
+      setTransform: jest.fn(),
+      globalCompositeOperation: 'source-over'
+    };
+
+    global.canvas = {
+      width: 800,
+      height: 600,
+      style: {},
+      getBoundingClientRect: jest.fn(() => ({ left: 0, top: 0, width: 800, height: 600 }))
+    };
+    global.ctx = mockContext;
+    global.undoStack = [];
+    global.redoStack = [];
+    global.zoomLevel = 1;
+    global.panOffsetX = 0;
+    global.panOffsetY = 0;
+    global.isDrawing = false;
+    global.isPanning = false;
+    global.eraserSize = 20;
+    global.currentTool = 'objectEraser';
+  });
+
+  afterEach(() => {
+    global.currentTool = 'pen';
+  });
+
+  test('should remove every stroke a swipe crosses', () => {
+    const horizontal = stroke([[100, 100], [300, 100]]);
+    const vertical = stroke([[500, 50], [500, 250]]);
+    const untouched = stroke([[100, 400], [300, 400]]);
+    global.drawingPaths = [horizontal, vertical, untouched];
+
+    swipe([200, 50], [200, 150], [450, 150], [550, 150]);
+
+    expect(global.drawingPaths).toEqual([untouched]);
+    expect(global.undoStack).toHaveLength(1);
+    expect(global.undoStack[0]).toBeInstanceOf(EraseObjectsCommand);
+  });
+
+  test('should reach strokes within the eraser radius plus their width', () => {
+    const line = stroke([[100, 100], [300, 100]]);
+    global.drawingPaths = [line];
+
+    // 14px away: eraser radius 10 + half the stroke width 5
+    swipe([200, 114]);
+    expect(global.drawingPaths).toHaveLength(0);
+
+    global.drawingPaths = [line];
+    swipe([200, 116]);
+    expect(global.drawingPaths).toHaveLength(1);
+  });
+
+  test('should restore strokes at their original position on undo', () => {
+    const first = stroke([[100, 100], [300, 100]]);
+    const second = stroke([[100, 200], [300, 200]]);
+    const third = stroke([[100, 300], [300, 300]]);
+    global.drawingPaths = [first, second, third];
+
+    swipe([200, 90], [200, 210]);
+    expect(global.drawingPaths).toEqual([third]);
+
+    undo();
+    expect(global.drawingPaths).toEqual([first, second, third]);
+
+    redo();
+    expect(global.drawingPaths).toEqual([third]);
+  });
+
+  test('should not record a step when nothing was hit', () => {
+    global.drawingPaths = [stroke([[100, 100], [300, 100]])];
+
+    swipe([600, 500], [700, 500]);
+
+    expect(global.drawingPaths).toHaveLength(1);
+    expect(global.undoStack).toHaveLength(0);
+  });
+
+  test('should leave eraser strokes and other layers alone', () => {
+    const eraserStroke = stroke([[100, 100], [300, 100]], { tool: 'eraser' });
+    const otherLayer = stroke([[100, 100], [300, 100]], { layerId: 'other' });
+    global.drawingPaths = [eraserStroke, otherLayer];
+
+    swipe([200, 50], [200, 150]);
+
+    expect(global.drawingPaths).toEqual([eraserStroke, otherLayer]);
+  });
+
+  test('should hit images inside their rotated box', () => {
+    const image = { tool: 'image', image: {}, x: 100, y: 100, width: 200, height: 20, rotation: Math.PI / 2, layerId: null };
+
+    // Rotated a quarter turn the image spans x 190..210, y 10..210
+    expect(objectEraserHits(image, { x: 200, y: 30 }, { x: 200, y: 30 }, 5)).toBe(true);
+    expect(objectEraserHits(image, { x: 120, y: 110 }, { x: 120, y: 110 }, 5)).toBe(false);
+  });
+
+  test('Shift+E should select the object eraser', () => {
+    global.currentTool = 'pen';
+
+    handleKeyDown({ key: 'E', shiftKey: true, target: { tagName: 'DIV' }, preventDefault: jest.fn() });
+
+    expect(global.currentTool).toBe('objectEraser');
+  });
+});
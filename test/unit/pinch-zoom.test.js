@@ -0,0 +1,264 @@
+/**
+ * Unit Tests for Pinch Zoom and View Rotation
+ * Tests proportional two-finger and trackpad zoom anchored at the gesture centre, optional
+ * two-finger rotation with snapping to upright, and rotation-aware coordinate conversion
+ */
+
+require('../../app.js');
+
+describe('Pinch Zoom and View Rotation (unit)', () => {
+  let mockContext;
+
+  const touchEvent = touches => ({ touches, preventDefault: jest.fn() });
+  const touch = (x, y) => ({ clientX: x, clientY: y });
+  const degrees = angle => angle * 180 / Math.PI;
+
+  // Document point under a screen position
+  const clientToCanvas = (clientX, clientY) => getCoordinates({ clientX, clientY });
+
+  // Fingers `spread` apart about (cx, cy), the line between them at `angle` degrees
+  const fingers = (cx, cy, spread, angle = 0) => {
+    const dx = Math.cos(angle * Math.PI / 180) * spread / 2;
+    const dy = Math.sin(angle * Math.PI / 180) * spread / 2;
+    return [touch(cx - dx, cy - dy), touch(cx + dx, cy + dy)];
+  };
+
+  beforeEach(() => {
+    mockContext = {
+      save: jest.fn(),
+      restore: jest.fn(),
+      setTransform: jest.fn(),
+      beginPath: jest.fn(),
+      moveTo: jest.fn(),
+      lineTo: jest.fn(),
+      stroke: jest.fn(),
+      arc: jest.fn(),
+      fill: jest.fn(),
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over'
+    };
+    global.canvas = {
+      width: 800,
+      height: 600,
+      style: {},
+      addEventListener: jest.fn(),
+      getBoundingClientRect: jest.fn(() => ({ left: 0, top: 0, width: 800, height: 600 }))
+    };
+    global.ctx = mockContext;
+    global.drawingPaths = [];
+    global.undoStack = [];
+    global.isDrawing = false;
+    global.isPanning = false;
+    global.zoomLevel = 1;
+    global.panOffsetX = 0;
+    global.panOffsetY = 0;
+    appModule.canvasPixelRatio = 1;
+    appModule.viewRotation = 0;
+    appModule.pinchRotationEnabled = false;
+    appModule.pinchGesture = null;
+    appModule.activePointers.clear();
+    appModule.drawingPointerId = null;
+    appModule.lastPenActivity = -Infinity;
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    appModule.viewRotation = 0;
+    appModule.pinchGesture = null;
+  });
+
+  test('spreading two fingers should zoom in proportion about their centre', () => {
+    global.panOffsetX = 30;
+    global.panOffsetY = -20;
+    handleTouchStart(touchEvent(fingers(300, 200, 100)));
+    const anchor = clientToCanvas(300, 200);
+    expect(global.isPanning).toBe(true);
+
+    handleTouchMove(touchEvent(fingers(300, 200, 250)));
+    expect(global.zoomLevel).toBeCloseTo(2.5);
+    expect(clientToCanvas(300, 200).x).toBeCloseTo(anchor.x);
+    expect(clientToCanvas(300, 200).y).toBeCloseTo(anchor.y);
+
+    // Moving the fingers together pans; the anchor follows the centre
+    handleTouchMove(touchEvent(fingers(360, 260, 250)));
+    expect(global.zoomLevel).toBeCloseTo(2.5);
+    expect(clientToCanvas(360, 260).x).toBeCloseTo(anchor.x);
+    expect(clientToCanvas(360, 260).y).toBeCloseTo(anchor.y);
+
+    handleTouchEnd(touchEvent([]));
+    expect(appModule.pinchGesture).toBeNull();
+    expect(global.isPanning).toBe(false);
+  });
+
+  test('pinching should stay within the zoom range', () => {
+    handleTouchStart(touchEvent(fingers(400, 300, 10)));
+    handleTouchMove(touchEvent(fingers(400, 300, 1000)));
+    expect(global.zoomLevel).toBe(32);
+
+    handleTouchMove(touchEvent(fingers(400, 300, 0.5)));
+    expect(global.zoomLevel).toBe(0.1);
+  });
+
+  test('twisting should rotate the view only when rotation is on', () => {
+    handleTouchStart(touchEvent(fingers(400, 300, 200)));
+    handleTouchMove(touchEvent(fingers(400, 300, 200, 30)));
+    expect(appModule.viewRotation).toBe(0);
+    handleTouchEnd(touchEvent([]));
+
+    appModule.pinchRotationEnabled = true;
+    handleTouchStart(touchEvent(fingers(400, 300, 200)));
+    const anchor = clientToCanvas(400, 300);
+    handleTouchMove(touchEvent(fingers(400, 300, 200, 30)));
+    expect(degrees(appModule.viewRotation)).toBeCloseTo(30);
+    expect(clientToCanvas(400, 300).x).toBeCloseTo(anchor.x);
+    expect(clientToCanvas(400, 300).y).toBeCloseTo(anchor.y);
+
+    // Turning back to within 5° of upright snaps to 0°
+    handleTouchMove(touchEvent(fingers(400, 300, 200, -4)));
+    expect(appModule.viewRotation).toBe(0);
+  });
+
+  test('should keep angles in range and snap near upright', () => {
+    expect(snapViewRotation(Math.PI / 180 * 4)).toBe(0);
+    expect(snapViewRotation(-Math.PI / 180 * 4)).toBe(0);
+    expect(degrees(snapViewRotation(Math.PI / 180 * 10))).toBeCloseTo(10);
+    expect(degrees(snapViewRotation(Math.PI / 180 * 350))).toBeCloseTo(-10);
+    expect(snapViewRotation(Math.PI * 2 + 0.01)).toBe(0);
+  });
+
+  test('drawing coordinates should follow a rotated view', () => {
+    appModule.viewRotation = Math.PI / 2;
+    global.zoomLevel = 2;
+    global.panOffsetX = 500;
+    global.panOffsetY = 100;
+
+    // Document x runs down the screen and y runs right to left
+    const point = clientToCanvas(500, 140);
+    expect(point.x).toBeCloseTo(20);
+    expect(point.y).toBeCloseTo(0);
+    expect(clientToCanvas(460, 100).y).toBeCloseTo(20);
+
+    const back = canvasToClient(37, -12);
+    const round = clientToCanvas(back.x, back.y);
+    expect(round.x).toBeCloseTo(37);
+    expect(round.y).toBeCloseTo(-12);
+
+    // The canvas draws with the same mapping
+    setViewTransform(mockContext);
+    const [a, b, c, d, e, f] = mockContext.setTransform.mock.calls.pop();
+    expect([a, b, c, d].map(v => Math.round(v * 1000) / 1000)).toEqual([0, 2, -2, 0]);
+    expect([e, f]).toEqual([500, 100]);
+    expect(a * 20 + c * 0 + e).toBeCloseTo(500);
+    expect(b * 20 + d * 0 + f).toBeCloseTo(140);
+  });
+
+  test('the area in view should take in the whole rotated viewport', () => {
+    appModule.viewRotation = Math.PI / 4;
+    global.panOffsetX = 400;
+    global.panOffsetY = 0;
+
+    const corners = getViewportCorners();
+    const view = getViewportWorldRect();
+    corners.forEach(p => {
+      expect(p.x).toBeGreaterThanOrEqual(view.x - 1e-9);
+      expect(p.y).toBeGreaterThanOrEqual(view.y - 1e-9);
+      expect(p.x).toBeLessThanOrEqual(view.x + view.width + 1e-9);
+      expect(p.y).toBeLessThanOrEqual(view.y + view.height + 1e-9);
+    });
+    expect(view.width).toBeCloseTo((800 + 600) * Math.SQRT1_2);
+  });
+
+  test('a trackpad pinch should zoom smoothly at the cursor', () => {
+    const wheel = (deltaY, deltaMode = 0) => ({ ctrlKey: true, deltaY, deltaMode, clientX: 200, clientY: 150, preventDefault: jest.fn() });
+
+    handleWheel(wheel(-10));
+    expect(global.zoomLevel).toBeCloseTo(Math.pow(1.1, 0.1));
+    handleWheel(wheel(10));
+    expect(global.zoomLevel).toBeCloseTo(1);
+    expect(global.panOffsetX).toBeCloseTo(0);
+
+    // Browsers that scroll by line report 3 lines for a mouse notch
+    handleWheel(wheel(-3, 1));
+    expect(global.zoomLevel).toBeCloseTo(1.1);
+  });
+
+  test('two touch pointers should pinch like touch events', () => {
+    const pointer = (id, x, y) => ({ pointerId: id, pointerType: 'touch', button: 0, clientX: x, clientY: y, pressure: 0.5, preventDefault: jest.fn() });
+    global.canvas.setPointerCapture = jest.fn();
+
+    handlePointerDown(pointer(1, 350, 300));
+    handlePointerDown(pointer(2, 450, 300));
+    expect(global.isPanning).toBe(true);
+
+    handlePointerMove(pointer(1, 300, 300));
+    handlePointerMove(pointer(2, 500, 300));
+    expect(global.zoomLevel).toBeCloseTo(2);
+    expect(clientToCanvas(400, 300).x).toBeCloseTo(400);
+
+    handlePointerUp(pointer(2, 500, 300));
+    expect(global.isPanning).toBe(false);
+    expect(appModule.pinchGesture).toBeNull();
+  });
+
+  test('Safari trackpad gestures should zoom and rotate', () => {
+    const gesture = (type, scale = 1, rotation = 0) => ({ type, scale, rotation, clientX: 400, clientY: 300, preventDefault: jest.fn() });
+    appModule.pinchRotationEnabled = true;
+
+    handleTrackpadGesture(gesture('gesturestart'));
+    handleTrackpadGesture(gesture('gesturechange', 1.5, 45));
+    expect(global.zoomLevel).toBeCloseTo(1.5);
+    expect(degrees(appModule.viewRotation)).toBeCloseTo(45);
+    expect(clientToCanvas(400, 300).x).toBeCloseTo(400);
+
+    handleTrackpadGesture(gesture('gestureend'));
+    expect(appModule.pinchGesture).toBeNull();
+  });
+
+  test('gesture events sent alongside a touch pinch should not take it over', () => {
+    const gesture = (type, scale = 1) => ({ type, scale, rotation: 0, clientX: 400, clientY: 300, preventDefault: jest.fn() });
+    const pointer = (id, x, y) => ({ pointerId: id, pointerType: 'touch', button: 0, clientX: x, clientY: y, pressure: 0.5, preventDefault: jest.fn() });
+    global.canvas.setPointerCapture = jest.fn();
+
+    // iOS Safari: pointer events and gesture events for the same two fingers
+    handlePointerDown(pointer(1, 350, 300));
+    handleTrackpadGesture(gesture('gesturestart'));
+    handlePointerDown(pointer(2, 450, 300));
+    handleTrackpadGesture(gesture('gesturechange', 1.5));
+    handlePointerMove(pointer(1, 300, 300));
+    handlePointerMove(pointer(2, 500, 300));
+    handleTrackpadGesture(gesture('gesturechange', 2));
+    expect(global.zoomLevel).toBeCloseTo(2);
+    handleTrackpadGesture(gesture('gestureend'));
+    expect(appModule.pinchGesture).not.toBeNull();
+    handlePointerUp(pointer(2, 500, 300));
+    handlePointerUp(pointer(1, 300, 300));
+
+    // Older Safari: touch events instead of pointers
+    global.zoomLevel = 1;
+    handleTouchStart(touchEvent(fingers(400, 300, 100)));
+    handleTrackpadGesture(gesture('gesturestart'));
+    handleTouchMove(touchEvent(fingers(400, 300, 300)));
+    handleTrackpadGesture(gesture('gesturechange', 3));
+    expect(global.zoomLevel).toBeCloseTo(3);
+  });
+
+  test('turning rotation off should straighten the view and be remembered', () => {
+    togglePinchRotation(true);
+    expect(localStorage.getItem('thick-lines-pinch-rotation')).toBe('true');
+
+    setViewRotation(Math.PI / 6);
+    const centre = clientToCanvas(400, 300);
+    togglePinchRotation();
+    expect(appModule.pinchRotationEnabled).toBe(false);
+    expect(appModule.viewRotation).toBe(0);
+    expect(localStorage.getItem('thick-lines-pinch-rotation')).toBe('false');
+
+    // Straightening turns about the middle of the view
+    expect(clientToCanvas(400, 300).x).toBeCloseTo(centre.x);
+    expect(clientToCanvas(400, 300).y).toBeCloseTo(centre.y);
+
+    localStorage.setItem('thick-lines-pinch-rotation', 'true');
+    setupPinchControls();
+    expect(appModule.pinchRotationEnabled).toBe(true);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Unit Tests for Pointer Input
+ * Tests routing Pointer Events to the drawing handlers, coalesced stylus samples, tilt and twist
+ * on points, palm rejection, two-finger panning and the listeners attached per browser support
+ */
+
+require('../../app.js');
+
+describe('Pointer Input (unit)', () => {
+  let mockCanvas;
+  let mockContext;
+  let nextPointerId;
+
+  const pointer = (type, overrides = {}) => ({
+    pointerId: overrides.pointerId !== undefined ? overrides.pointerId : nextPointerId++,
+    pointerType: type,
+    button: 0,
+    clientX: 100,
+    clientY: 100,
+    pressure: type === 'mouse' ? 0 : 0.5,
+    preventDefault: jest.fn(),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    nextPointerId = 1;
+    mockContext = {
+      save: jest.fn(),
+      restore: jest.fn(),
+      beginPath: jest.fn(),
+      moveTo: jest.fn(),
+      lineTo: jest.fn(),
+      quadraticCurveTo: jest.fn(),
+      stroke: jest.fn(),
+      fill: jest.fn(),
+      arc: jest.fn(),
+      fillRect: jest.fn(),
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over'
+    };
+    mockCanvas = {
+      width: 800,
+      height: 600,
+      style: {},
+      addEventListener: jest.fn(),
+      setPointerCapture: jest.fn(),
+      getBoundingClientRect: jest.fn(() => ({ left: 0, top: 0, width: 800, height: 600 }))
+    };
+    global.canvas = mockCanvas;
+    global.ctx = mockContext;
+    global.drawingPaths = [];
+    global.undoStack = [];
+    global.redoStack = [];
+    global.zoomLevel = 1;
+    global.panOffsetX = 0;
+    global.panOffsetY = 0;
+    global.isDrawing = false;
+    global.isPanning = false;
+    global.currentTool = 'pen';
+    global.currentColor = '#3b82f6';
+    global.penSize = 10;
+    appModule.currentBrush = 'pen';
+    appModule.penOpacity = 1;
+    appModule.activePointers.clear();
+    appModule.drawingPointerId = null;
+    appModule.lastPenActivity = -Infinity;
+    appModule.supportsPressure = false;
+    appModule.inputDevice = 'mouse';
+  });
+
+  test('should draw a stroke from mouse pointer events', () => {
+    handlePointerDown(pointer('mouse', { pointerId: 1 }));
+    expect(global.isDrawing).toBe(true);
+    expect(mockCanvas.setPointerCapture).toHaveBeenCalledWith(1);
+
+    handlePointerMove(pointer('mouse', { pointerId: 1, clientX: 140 }));
+    handlePointerUp(pointer('mouse', { pointerId: 1, clientX: 140 }));
+
+    expect(global.isDrawing).toBe(false);
+    expect(global.drawingPaths).toHaveLength(1);
+    expect(global.drawingPaths[0].points.map(p => p.x)).toEqual([100, 140]);
+    expect(appModule.drawingPointerId).toBeNull();
+  });
+
+  test('should add every coalesced sample and store pen tilt and twist', () => {
+    const samples = [110, 120, 130].map(x => pointer('pen', { pointerId: 1, clientX: x, tiltX: 20, tiltY: -10, twist: 90 }));
+    handlePointerDown(pointer('pen', { pointerId: 1, tiltX: 15, tiltY: 0, twist: 45 }));
+    handlePointerMove(pointer('pen', { pointerId: 1, clientX: 130, getCoalescedEvents: () => samples }));
+    handlePointerUp(pointer('pen', { pointerId: 1, clientX: 130 }));
+
+    const points = global.drawingPaths[0].points;
+    expect(points.map(p => p.x)).toEqual([100, 110, 120, 130]);
+    expect(points[0]).toMatchObject({ tiltX: 15, tiltY: 0, twist: 45 });
+    expect(points[3]).toMatchObject({ tiltX: 20, tiltY: -10, twist: 90 });
+
+    // Mouse points carry no attitude
+    expect(readPenAttitude(pointer('mouse', { tiltX: 0 }))).toEqual({});
+  });
+
+  test('the first pen contact should switch pressure on', () => {
+    notePointerPressure(pointer('touch', { pressure: 0.5 }));
+    expect(appModule.supportsPressure).toBe(false);
+
+    handlePointerDown(pointer('pen', { pressure: 0.8 }));
+    expect(appModule.supportsPressure).toBe(true);
+    expect(appModule.inputDevice).toBe('pen');
+  });
+
+  test('should ignore touches while a pen is in use', () => {
+    handlePointerDown(pointer('pen', { pointerId: 1 }));
+    handlePointerDown(pointer('touch', { pointerId: 2, clientX: 300 }));
+    handlePointerMove(pointer('touch', { pointerId: 2, clientX: 320 }));
+    handlePointerUp(pointer('touch', { pointerId: 2 }));
+    expect(global.isDrawing).toBe(true);
+    expect(appModule.drawingPointerId).toBe(1);
+    handlePointerUp(pointer('pen', { pointerId: 1 }));
+
+    // A palm still resting just after the pen lifts is ignored too
+    handlePointerDown(pointer('touch', { pointerId: 3 }));
+    expect(global.isDrawing).toBe(false);
+
+    appModule.lastPenActivity = -Infinity;
+    expect(isPenActive()).toBe(false);
+    handlePointerDown(pointer('touch', { pointerId: 4 }));
+    expect(global.isDrawing).toBe(true);
+  });
+
+  test('a pen landing after the palm should discard the palm stroke', () => {
+    handlePointerDown(pointer('touch', { pointerId: 1, clientX: 300 }));
+    handlePointerMove(pointer('touch', { pointerId: 1, clientX: 320 }));
+    expect(global.drawingPaths).toHaveLength(1);
+
+    handlePointerDown(pointer('pen', { pointerId: 2 }));
+    handlePointerUp(pointer('pen', { pointerId: 2 }));
+
+    expect(global.drawingPaths).toHaveLength(1);
+    expect(global.drawingPaths[0].points[0].x).toBe(100);
+    expect(global.undoStack).toHaveLength(1);
+  });
+
+  test('a second finger should end the stroke and pan', () => {
+    handlePointerDown(pointer('touch', { pointerId: 1, clientX: 100, clientY: 100 }));
+    handlePointerDown(pointer('touch', { pointerId: 2, clientX: 200, clientY: 100 }));
+    expect(global.isDrawing).toBe(false);
+    expect(global.isPanning).toBe(true);
+
+    handlePointerMove(pointer('touch', { pointerId: 1, clientX: 140, clientY: 140 }));
+    handlePointerMove(pointer('touch', { pointerId: 2, clientX: 240, clientY: 140 }));
+    expect(global.panOffsetX).toBe(40);
+    expect(global.panOffsetY).toBe(40);
+
+    handlePointerUp(pointer('touch', { pointerId: 2 }));
+    expect(global.isPanning).toBe(false);
+    expect(global.drawingPaths).toHaveLength(1);
+  });
+
+  test('should attach pointer listeners only where Pointer Events exist', () => {
+    const original = appModule.supportsPointerEvents;
+    try {
+      appModule.supportsPointerEvents = true;
+      setupEventListeners();
+      const types = mockCanvas.addEventListener.mock.calls.map(([type]) => type);
+      expect(types).toEqual(expect.arrayContaining(['pointerdown', 'pointermove', 'pointerup', 'pointercancel']));
+      expect(types).not.toContain('mousedown');
+      expect(types).not.toContain('touchstart');
+
+      mockCanvas.addEventListener.mockClear();
+      appModule.supportsPointerEvents = false;
+      setupEventListeners();
+      expect(mockCanvas.addEventListener).toHaveBeenCalledWith('mousedown', handleMouseDown);
+      expect(mockCanvas.addEventListener).not.toHaveBeenCalledWith('pointerdown', expect.any(Function));
+    } finally {
+      appModule.supportsPointerEvents = original;
+    }
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * Unit Tests for Project Files
+ * Tests .thicklines serialization, validation, loading and keyboard shortcuts
+ */
+
+require('../../app.js');
+
+describe('Project Files (unit)', () => {
+  let mockContext;
+
+  const stroke = (overrides = {}) => ({
+    tool: 'pen',
+    color: '#ef4444',
+    size: 10,
+    layerId: null,
+    points: [{ x: 1, y: 2, width: 10 }, { x: 5, y: 6, width: 8 }],
+    ...overrides
+  });
+
+  const project = (overrides = {}) => ({
+    format: 'thicklines',
+    version: 1,
+    canvas: { width: 800, height: 600 },
+    viewport: { zoomLevel: 1.5, panOffsetX: 20, panOffsetY: -10 },
+    palette: ['#ef4444', '#10b981', '#3b82f6', '#f59e0b'],
+    currentColor: '#3b82f6',
+    currentLayerIndex: 0,
+    layers: [],
+    items: [stroke()],
+    ...overrides
+  });
+
+  beforeEach(() => {
+    mockContext = {
+      save: jest.fn(),
+      restore: jest.fn(),
+      beginPath: jest.fn(),
+      arc: jest.fn(),
+      fill: jest.fn(),
+      moveTo: jest.fn(),
+      lineTo: jest.fn(),
+      quadraticCurveTo: jest.fn(),
+      stroke: jest.fn(),
+      drawImage: jest.fn(),
+      fillRect: jest.fn(),
+      clearRect: jest.fn(),
+      setTransform: jest.fn(),
+      globalCompositeOperation: 'source-over'
+    };
+
+    global.canvas = {
+      width: 800,
+      height: 600,
+      getContext: jest.fn(() => mockContext),
+      toDataURL: jest.fn(() => 'data:image/png;base64,canvas')
+    };
+    global.ctx = mockContext;
+    global.drawingPaths = [];
+    global.undoStack = [];
+    global.redoStack = [];
+    global.zoomLevel = 1;
+    global.panOffsetX = 0;
+    global.panOffsetY = 0;
+
+    // Image decoding completes as soon as src is assigned
+    global.Image = jest.fn(() => {
+      const img = { width: 40, height: 30, onload: null, onerror: null };
+      Object.defineProperty(img, 'src', {
+        set(value) {
+          this._src = value;
+          setTimeout(() => (value.includes('broken') ? this.onerror() : this.onload()), 0);
+        },
+        get() { return this._src; }
+      });
+      return img;
+    });
+  });
+
+  describe('serializeProject', () => {
+    test('should write format, version, viewport and strokes', () => {
+      global.drawingPaths = [stroke()];
+      global.zoomLevel = 2;
+      global.panOffsetX = 15;
+
+      const data = serializeProject();
+
+      expect(data.format).toBe('thicklines');
+      expect(data.version).toBe(1);
+      expect(data.viewport).toEqual({ zoomLevel: 2, panOffsetX: 15, panOffsetY: 0 });
+      expect(Array.isArray(data.layers)).toBe(true);
+      expect(data.items).toEqual([stroke()]);
+    });
+
+    test('should embed image items as PNG data URLs', () => {
+      const region = { width: 40, height: 30, toDataURL: jest.fn(() => 'data:image/png;base64,region') };
+      global.drawingPaths = [{ tool: 'image', image: region, x: 3, y: 4, width: 40, height: 30, layerId: null }];
+
+      const data = serializeProject();
+
+      expect(data.items[0]).toEqual({
+        tool: 'image', layerId: null, x: 3, y: 4, width: 40, height: 30, src: 'data:image/png;base64,region'
+      });
+    });
+
+    test('should round-trip through parseProject', () => {
+      global.drawingPaths = [stroke(), stroke({ tool: 'eraser', color: '#000000', size: 50 })];
+      const text = JSON.stringify(serializeProject());
+      expect(parseProject(text).items).toHaveLength(2);
+    });
+  });
+
+  describe('parseProject', () => {
+    const rejects = (data, message) => {
+      expect(() => parseProject(typeof data === 'string' ? data : JSON.stringify(data))).toThrow(message);
+    };
+
+    test('should accept a well-formed project', () => {
+      expect(parseProject(JSON.stringify(project())).version).toBe(1);
+    });
+
+    test('should reject invalid JSON', () => {
+      rejects('{not json', 'not valid JSON');
+    });
+
+    test('should reject files from other applications', () => {
+      rejects({ ...project(), format: 'other' }, 'not a Thick Lines project');
+    });
+
+    test('should reject newer versions', () => {
+      rejects(project({ version: 99 }), 'newer than this app supports');
+    });
+
+    test('should reject a bad viewport', () => {
+      rejects(project({ viewport: { zoomLevel: 0, panOffsetX: 0, panOffsetY: 0 } }), 'invalid viewport');
+    });
+
+    test('should reject duplicate layer ids', () => {
+      const layer = { id: 'a', name: 'A', visible: true, opacity: 1, blendMode: 'normal', locked: false };
+      rejects(project({ layers: [layer, { ...layer }] }), 'duplicate id');
+    });
+
+    test('should reject items on unknown layers', () => {
+      rejects(project({ items: [stroke({ layerId: 'missing' })] }), 'unknown layer');
+    });
+
+    test('should reject unknown tools and malformed points', () => {
+      rejects(project({ items: [stroke({ tool: 'laser' })] }), 'unknown tool');
+      rejects(project({ items: [stroke({ points: [{ x: 'a', y: 1 }] })] }), 'invalid points');
+    });
+
+    test('should reject image items that are not data URLs', () => {
+      const image = { tool: 'image', layerId: null, x: 0, y: 0, width: 1, height: 1, src: 'https://example.com/a.png' };
+      rejects(project({ items: [image] }), 'invalid image data');
+    });
+  });
+
+  describe('loadProject', () => {
+    test('should replace the document, viewport and history', async () => {
+      global.drawingPaths = [stroke({ color: '#10b981' })];
+      global.undoStack = [{}];
+      global.redoStack = [{}];
+
+      const ok = await loadProject(JSON.stringify(project()));
+
+      expect(ok).toBe(true);
+      expect(global.drawingPaths).toHaveLength(1);
+      expect(global.drawingPaths[0].color).toBe('#ef4444');
+      expect(global.zoomLevel).toBe(1.5);
+      expect(global.panOffsetX).toBe(20);
+      expect(global.panOffsetY).toBe(-10);
+      expect(global.currentColor).toBe('#3b82f6');
+      expect(global.undoStack).toEqual([]);
+      expect(global.redoStack).toEqual([]);
+    });
+
+    test('should decode embedded images', async () => {
+      const image = { tool: 'image', layerId: null, x: 5, y: 6, width: 40, height: 30, src: 'data:image/png;base64,ok' };
+
+      await loadProject(JSON.stringify(project({ items: [image] })));
+
+      expect(global.drawingPaths[0].tool).toBe('image');
+      expect(global.drawingPaths[0].image).toBeDefined();
+      expect(global.drawingPaths[0].x).toBe(5);
+    });
+
+    test('should leave the current drawing untouched when the file is malformed', async () => {
+      const existing = [stroke()];
+      global.drawingPaths = existing;
+
+      const ok = await loadProject('{"format":"thicklines"}');
+
+      expect(ok).toBe(false);
+      expect(global.drawingPaths).toBe(existing);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Error in openProject'), expect.any(Error));
+    });
+
+    test('should reject projects whose images fail to decode', async () => {
+      const existing = [stroke()];
+      global.drawingPaths = existing;
+      const image = { tool: 'image', layerId: null, x: 0, y: 0, width: 1, height: 1, src: 'data:image/png;base64,broken' };
+
+      const ok = await loadProject(JSON.stringify(project({ items: [image] })));
+
+      expect(ok).toBe(false);
+      expect(global.drawingPaths).toBe(existing);
+    });
+  });
+
+  describe('keyboard shortcuts', () => {
+    const keyEvent = (key, opts = {}) => ({
+      key,
+      ctrlKey: false,
+      shiftKey: false,
+      target: { tagName: 'DIV' },
+      preventDefault: jest.fn(),
+      ...opts
+    });
+
+    test('Ctrl+O should open the file picker', () => {
+      const input = { click: jest.fn(), addEventListener: jest.fn() };
+      const originalCreate = document.createElement;
+      document.createElement = jest.fn(() => input);
+
+      try {
+        const event = keyEvent('o', { ctrlKey: true });
+        handleKeyDown(event);
+
+        expect(event.preventDefault).toHaveBeenCalled();
+        expect(input.type).toBe('file');
+        expect(input.accept).toContain('.thicklines');
+        expect(input.click).toHaveBeenCalled();
+      } finally {
+        document.createElement = originalCreate;
+      }
+    });
+
+    test('Ctrl+Shift+S should download a .thicklines file', () => {
+      const link = { click: jest.fn() };
+      const originalCreate = document.createElement;
+      document.createElement = jest.fn(() => link);
+
+      try {
+        handleKeyDown(keyEvent('S', { ctrlKey: true, shiftKey: true }));
+
+        expect(link.download).toMatch(/\.thicklines$/);
+        expect(link.click).toHaveBeenCalled();
+        expect(URL.createObjectURL).toHaveBeenCalled();
+      } finally {
+        document.createElement = originalCreate;
+      }
+    });
+  });
+});
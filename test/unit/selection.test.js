@@ -0,0 +1,336 @@
+/**
+ * Unit Tests for the Selection System
+ * Tests marquee and lasso creation, lifting, move/scale/rotate, delete, recolor, cut, commit, cancel and undo
+ */
+
+require('../../app.js');
+
+describe('Selection System (unit)', () => {
+  let mockContext;
+
+  const stroke = () => ({
+    tool: 'pen',
+    color: '#ef4444',
+    size: 10,
+    layerId: null,
+    points: [{ x: 120, y: 120, width: 10 }, { x: 180, y: 180, width: 10 }]
+  });
+
+  const mouse = (type, x, y, opts = {}) => {
+    const event = { button: 0, clientX: x, clientY: y, preventDefault: jest.fn(), ...opts };
+    if (type === 'down') handleMouseDown(event);
+    if (type === 'move') handleMouseMove(event);
+    if (type === 'up') handleMouseUp(event);
+  };
+
+  const drag = (from, to, opts) => {
+    mouse('down', from.x, from.y, opts);
+    mouse('move', to.x, to.y, opts);
+    mouse('up', to.x, to.y, opts);
+  };
+
+  // Marquee from (100,100) to (200,200)
+  const selectSquare = () => drag({ x: 100, y: 100 }, { x: 200, y: 200 });
+
+  // Lasso triangle with corners (100,100), (200,100) and (100,200)
+  const selectTriangle = () => {
+    toggleSelectionMode('lasso');
+    mouse('down', 100, 100);
+    mouse('move', 200, 100);
+    mouse('move', 100, 200);
+    mouse('up', 100, 200);
+  };
+
+  beforeEach(() => {
+    mockContext = {
+      save: jest.fn(),
+      restore: jest.fn(),
+      beginPath: jest.fn(),
+      arc: jest.fn(),
+      fill: jest.fn(),
+      moveTo: jest.fn(),
+      lineTo: jest.fn(),
+      closePath: jest.fn(),
+      quadraticCurveTo: jest.fn(),
+      stroke: jest.fn(),
+      drawImage: jest.fn(),
+      translate: jest.fn(),
+      rotate: jest.fn(),
+      fillRect: jest.fn(),
+      setTransform: jest.fn(),
+      globalCompositeOperation: 'source-over'
+    };
+
+    global.canvas = {
+      width: 800,
+      height: 600,
+      style: {},
+      getBoundingClientRect: jest.fn(() => ({ left: 0, top: 0, width: 800, height: 600 }))
+    };
+    global.ctx = mockContext;
+    global.drawingPaths = [stroke()];
+    global.undoStack = [];
+    global.redoStack = [];
+    global.zoomLevel = 1;
+    global.panOffsetX = 0;
+    global.panOffsetY = 0;
+    global.isDrawing = false;
+    global.isPanning = false;
+
+    appModule.selectionMode = true;
+    appModule.selectionShape = 'rect';
+    cancelSelection();
+  });
+
+  afterEach(() => {
+    appModule.selectionMode = false;
+  });
+
+  test('should store the marquee as the selected region', () => {
+    selectSquare();
+
+    expect(appModule.selectedRegion).toEqual({ x: 100, y: 100, width: 100, height: 100 });
+    expect(global.drawingPaths).toHaveLength(1);
+  });
+
+  test('should ignore tiny marquees', () => {
+    drag({ x: 100, y: 100 }, { x: 103, y: 103 });
+
+    expect(appModule.selectedRegion).toBeNull();
+  });
+
+  test('should hit-test handles, body and outside', () => {
+    selectSquare();
+
+    expect(hitTestSelection(150, 150)).toBe('move');
+    expect(hitTestSelection(200, 200)).toBe('se');
+    expect(hitTestSelection(100, 100)).toBe('nw');
+    expect(hitTestSelection(150, 76)).toBe('rotate');
+    expect(hitTestSelection(400, 400)).toBeNull();
+  });
+
+  test('should lift the pixels and move them as one undoable step', () => {
+    selectSquare();
+    drag({ x: 150, y: 150 }, { x: 190, y: 170 });
+
+    const [, clear, image] = global.drawingPaths;
+    expect(clear.tool).toBe('clear');
+    expect(clear.points).toHaveLength(4);
+    expect(image).toMatchObject({ tool: 'image', x: 140, y: 120, width: 100, height: 100, rotation: 0 });
+    expect(appModule.floatingSelection).toBe(image);
+    expect(global.undoStack).toHaveLength(1);
+    expect(global.undoStack[0]).toBeInstanceOf(SelectionCommand);
+    expect(global.undoStack[0].action).toBe('move');
+  });
+
+  test('should not change the document for a click without movement', () => {
+    selectSquare();
+    drag({ x: 150, y: 150 }, { x: 150, y: 150 });
+
+    expect(global.drawingPaths).toHaveLength(1);
+    expect(global.undoStack).toHaveLength(0);
+    expect(appModule.selectedRegion).toEqual({ x: 100, y: 100, width: 100, height: 100 });
+  });
+
+  test('should scale from a corner handle with the opposite corner fixed', () => {
+    selectSquare();
+    drag({ x: 200, y: 200 }, { x: 250, y: 300 });
+
+    expect(appModule.floatingSelection).toMatchObject({ x: 100, y: 100, width: 150, height: 200 });
+    expect(global.undoStack[0].action).toBe('scale');
+  });
+
+  test('should keep the aspect ratio when scaling with Shift', () => {
+    const from = { x: 100, y: 100, width: 100, height: 100, rotation: 0 };
+    const result = computeSelectionTransform({ handle: 'se', start: { x: 200, y: 200 }, from }, { x: 250, y: 300 }, true);
+
+    expect(result).toEqual({ x: 100, y: 100, width: 200, height: 200, rotation: 0 });
+  });
+
+  test('should rotate about the centre and snap with Shift', () => {
+    const from = { x: 100, y: 100, width: 100, height: 100, rotation: 0 };
+    const start = { x: 150, y: 76 };
+
+    const free = computeSelectionTransform({ handle: 'rotate', start, from }, { x: 224, y: 150 });
+    expect(free.rotation).toBeCloseTo(Math.PI / 2);
+
+    const snapped = computeSelectionTransform({ handle: 'rotate', start, from }, { x: 224, y: 130 }, true);
+    expect(snapped.rotation).toBeCloseTo(Math.PI * 5 / 12);
+  });
+
+  test('should undo and redo a transform', () => {
+    selectSquare();
+    drag({ x: 150, y: 150 }, { x: 190, y: 170 });
+
+    undo();
+    expect(global.drawingPaths).toHaveLength(1);
+    expect(appModule.floatingSelection).toBeNull();
+    expect(appModule.selectedRegion).toEqual({ x: 100, y: 100, width: 100, height: 100 });
+
+    redo();
+    expect(global.drawingPaths).toHaveLength(3);
+    expect(appModule.floatingSelection).toMatchObject({ x: 140, y: 120 });
+  });
+
+  test('should record later transforms against the floating item only', () => {
+    selectSquare();
+    drag({ x: 150, y: 150 }, { x: 160, y: 150 });
+    drag({ x: 160, y: 150 }, { x: 160, y: 190 });
+
+    expect(global.drawingPaths).toHaveLength(3);
+    expect(appModule.floatingSelection).toMatchObject({ x: 110, y: 140 });
+
+    undo();
+    expect(appModule.floatingSelection).toMatchObject({ x: 110, y: 100 });
+  });
+
+  test('Delete should clear the selected region', () => {
+    selectSquare();
+
+    handleKeyDown({ key: 'Delete', target: { tagName: 'DIV' }, preventDefault: jest.fn() });
+
+    expect(global.drawingPaths[1]).toMatchObject({ tool: 'clear', layerId: null });
+    expect(appModule.selectedRegion).toBeNull();
+
+    undo();
+    expect(global.drawingPaths).toHaveLength(1);
+  });
+
+  test('Delete should remove a floating selection', () => {
+    selectSquare();
+    drag({ x: 150, y: 150 }, { x: 190, y: 170 });
+
+    deleteSelection();
+
+    expect(global.drawingPaths.map(item => item.tool)).toEqual(['pen', 'clear']);
+    undo();
+    expect(global.drawingPaths.map(item => item.tool)).toEqual(['pen', 'clear', 'image']);
+    expect(appModule.floatingSelection).toBe(global.drawingPaths[2]);
+  });
+
+  test('Enter should apply the floating selection', () => {
+    selectSquare();
+    drag({ x: 150, y: 150 }, { x: 190, y: 170 });
+
+    handleKeyDown({ key: 'Enter', target: { tagName: 'DIV' }, preventDefault: jest.fn() });
+
+    expect(appModule.floatingSelection).toBeNull();
+    expect(appModule.selectedRegion).toBeNull();
+    expect(global.drawingPaths).toHaveLength(3);
+    expect(global.undoStack).toHaveLength(1);
+  });
+
+  test('Escape should revert the selection and drop its steps from history', () => {
+    selectSquare();
+    drag({ x: 150, y: 150 }, { x: 190, y: 170 });
+    drag({ x: 240, y: 220 }, { x: 260, y: 260 });
+
+    handleEscapeKey();
+
+    expect(global.drawingPaths).toHaveLength(1);
+    expect(global.undoStack).toHaveLength(0);
+    expect(global.redoStack).toHaveLength(0);
+    expect(appModule.selectedRegion).toBeNull();
+  });
+
+  test('should render cleared areas and rotated images', () => {
+    const clear = { tool: 'clear', layerId: null, points: [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }] };
+    renderPath(mockContext, clear);
+    expect(mockContext.globalCompositeOperation).toBe('destination-out');
+    expect(mockContext.fill).toHaveBeenCalled();
+
+    const image = { tool: 'image', image: {}, x: 10, y: 20, width: 40, height: 30, rotation: 0.5, layerId: null };
+    renderPath(mockContext, image);
+    expect(mockContext.translate).toHaveBeenCalledWith(30, 35);
+    expect(mockContext.rotate).toHaveBeenCalledWith(0.5);
+    expect(mockContext.drawImage).toHaveBeenCalledWith(image.image, -20, -15, 40, 30);
+  });
+
+  test('should save cleared areas and rotation in project files', () => {
+    selectSquare();
+    drag({ x: 150, y: 76 }, { x: 224, y: 150 });
+    appModule.floatingSelection.image = { toDataURL: () => 'data:image/png;base64,lifted' };
+
+    const project = parseProject(JSON.stringify(serializeProject()));
+
+    expect(project.items[1].tool).toBe('clear');
+    expect(project.items[2].rotation).toBeCloseTo(Math.PI / 2);
+  });
+
+  describe('Lasso', () => {
+    test('should store the outline normalized to its bounding box', () => {
+      selectTriangle();
+
+      expect(appModule.selectionMode).toBe(true);
+      expect(appModule.selectedRegion).toEqual({ x: 100, y: 100, width: 100, height: 100 });
+      expect(appModule.selectionOutline).toEqual([{ u: 0, v: 0 }, { u: 1, v: 0 }, { u: 0, v: 1 }]);
+    });
+
+    test('should ignore outlines with fewer than three points', () => {
+      toggleSelectionMode('lasso');
+      drag({ x: 100, y: 100 }, { x: 200, y: 200 });
+
+      expect(appModule.selectedRegion).toBeNull();
+    });
+
+    test('should delete only inside the outline', () => {
+      selectTriangle();
+      deleteSelection();
+
+      expect(global.drawingPaths[1].points).toEqual([{ x: 100, y: 100 }, { x: 200, y: 100 }, { x: 100, y: 200 }]);
+    });
+
+    test('should clear the outline when lifted and keep it after undo', () => {
+      selectTriangle();
+      drag({ x: 150, y: 150 }, { x: 170, y: 150 });
+
+      expect(global.drawingPaths[1].points).toHaveLength(3);
+      expect(appModule.floatingSelection).toMatchObject({ x: 120, y: 100 });
+
+      undo();
+      expect(appModule.selectionOutline).toHaveLength(3);
+      expect(appModule.selectedRegion).toEqual({ x: 100, y: 100, width: 100, height: 100 });
+    });
+  });
+
+  describe('Recolor and cut', () => {
+    test('should recolor the selection as one undoable step', () => {
+      selectSquare();
+      global.currentColor = '#10b981';
+
+      handleKeyDown({ key: 'r', target: { tagName: 'DIV' }, preventDefault: jest.fn() });
+
+      expect(global.drawingPaths.map(item => item.tool)).toEqual(['pen', 'clear', 'image']);
+      expect(appModule.floatingSelection).toBe(global.drawingPaths[2]);
+      expect(global.undoStack[0].action).toBe('recolor');
+
+      undo();
+      expect(global.drawingPaths).toHaveLength(1);
+    });
+
+    test('should replace a floating selection when recoloring it', () => {
+      selectSquare();
+      drag({ x: 150, y: 150 }, { x: 190, y: 170 });
+      const lifted = appModule.floatingSelection;
+
+      recolorSelection();
+
+      expect(global.drawingPaths).toHaveLength(3);
+      expect(global.drawingPaths).not.toContain(lifted);
+      expect(appModule.floatingSelection).toMatchObject({ x: 140, y: 120 });
+
+      undo();
+      expect(appModule.floatingSelection).toBe(lifted);
+    });
+
+    test('should cut the selection without asking for confirmation', () => {
+      selectSquare();
+
+      cutSelection();
+
+      expect(appModule.copiedRegion).toBeDefined();
+      expect(global.drawingPaths[1]).toMatchObject({ tool: 'clear' });
+      expect(appModule.selectedRegion).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Unit Tests for Shape Recognition
+ * Tests matching rough strokes to clean shapes, snapping on release or after a hold, and undo
+ */
+
+require('../../app.js');
+
+describe('Shape Recognition (unit)', () => {
+  let mockContext;
+  let now;
+
+  // Deterministic hand tremor of up to 2px
+  const wobble = i => Math.sin(i * 1.7) * 2;
+
+  const trace = (vertices, steps = 12) => {
+    const points = [];
+    for (let v = 0; v < vertices.length - 1; v++) {
+      const [x1, y1] = vertices[v];
+      const [x2, y2] = vertices[v + 1];
+      for (let s = 0; s < steps; s++) {
+        const t = s / steps;
+        const i = points.length;
+        points.push({ x: x1 + (x2 - x1) * t + wobble(i), y: y1 + (y2 - y1) * t + wobble(i + 3) });
+      }
+    }
+    const [x, y] = vertices[vertices.length - 1];
+    points.push({ x, y });
+    return points;
+  };
+
+  const circle = (cx, cy, r, n = 48) => Array.from({ length: n }, (_, i) => {
+    const angle = (i / n) * Math.PI * 2;
+    return { x: cx + (r + wobble(i)) * Math.cos(angle), y: cy + (r + wobble(i)) * Math.sin(angle) };
+  });
+
+  const drawStroke = (points, holdMs = 0) => {
+    const event = p => ({ button: 0, clientX: p.x, clientY: p.y, preventDefault: jest.fn() });
+    handleMouseDown(event(points[0]));
+    points.slice(1).forEach(p => {
+      now += 5;
+      handleMouseMove(event(p));
+    });
+    now += holdMs;
+    handleMouseUp(event(points[points.length - 1]));
+  };
+
+  beforeEach(() => {
+    mockContext = {
+      save: jest.fn(),
+      restore: jest.fn(),
+      beginPath: jest.fn(),
+      arc: jest.fn(),
+      fill: jest.fn(),
+      moveTo: jest.fn(),
+      lineTo: jest.fn(),
+      quadraticCurveTo: jest.fn(),
+      stroke: jest.fn(),
+      fillRect: jest.fn(),
+      setTransform: jest.fn(),
+      globalCompositeOperation: 'source-over'
+    };
+
+    global.canvas = {
+      width: 800,
+      height: 600,
+      style: {},
+      getBoundingClientRect: jest.fn(() => ({ left: 0, top: 0, width: 800, height: 600 }))
+    };
+    global.ctx = mockContext;
+    global.drawingPaths = [];
+    global.undoStack = [];
+    global.redoStack = [];
+    global.zoomLevel = 1;
+    global.panOffsetX = 0;
+    global.panOffsetY = 0;
+    global.isDrawing = false;
+    global.isPanning = false;
+    global.currentTool = 'pen';
+    global.currentColor = '#3b82f6';
+    global.penSize = 5;
+    appModule.shapeRecognition = false;
+
+    now = 1000;
+    jest.spyOn(performance, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    performance.now.mockRestore();
+    appModule.shapeRecognition = false;
+  });
+
+  test('should recognise a rough rectangle as its bounding box', () => {
+    const match = recognizeShape(trace([[100, 100], [300, 100], [300, 220], [100, 220], [100, 102]]));
+
+    expect(match.shape).toBe('rect');
+    expect(match.points[0].x).toBeCloseTo(100, -1);
+    expect(match.points[1].y).toBeCloseTo(220, -1);
+  });
+
+  test('should recognise a rough circle as an ellipse', () => {
+    const match = recognizeShape(circle(200, 200, 80));
+
+    expect(match.shape).toBe('ellipse');
+    expect((match.points[0].x + match.points[1].x) / 2).toBeCloseTo(200, 0);
+  });
+
+  test('should recognise a triangle by its three corners', () => {
+    const match = recognizeShape(trace([[200, 100], [300, 280], [100, 280], [198, 104]]));
+
+    expect(match.shape).toBe('triangle');
+    expect(match.points).toHaveLength(3);
+    [[200, 100], [300, 280], [100, 280]].forEach(([x, y]) => {
+      expect(match.points.some(p => Math.hypot(p.x - x, p.y - y) < 8)).toBe(true);
+    });
+  });
+
+  test('should recognise straight lines and arrows', () => {
+    // The ends are kept where the stroke started and finished
+    const points = trace([[50, 50], [250, 150]]);
+    const line = recognizeShape(points);
+    expect(line).toEqual({ shape: 'line', points: [points[0], points[points.length - 1]] });
+
+    const arrow = recognizeShape(trace([[50, 300], [250, 300], [220, 280], [250, 300], [220, 320]], 6));
+    expect(arrow.shape).toBe('arrow');
+    expect(arrow.points[0].x).toBe(50);
+    expect(arrow.points[1].x).toBeCloseTo(250, -1);
+  });
+
+  test('should leave scribbles and tiny strokes alone', () => {
+    expect(recognizeShape(trace([[100, 100], [160, 200], [220, 90], [280, 210], [340, 120]]))).toBeNull();
+    expect(recognizeShape(trace([[100, 100], [108, 104]]))).toBeNull();
+  });
+
+  test('should replace the stroke with the shape in a single undo step when snapping is on', () => {
+    appModule.shapeRecognition = true;
+
+    drawStroke(circle(300, 300, 60));
+
+    expect(global.drawingPaths).toHaveLength(1);
+    expect(global.drawingPaths[0]).toMatchObject({ tool: 'shape', shape: 'ellipse', color: '#3b82f6', size: 5 });
+    expect(global.undoStack).toHaveLength(1);
+
+    undo();
+    expect(global.drawingPaths).toHaveLength(0);
+  });
+
+  test('should keep strokes as drawn when snapping is off, unless the pointer rests before release', () => {
+    drawStroke(circle(300, 300, 60));
+    expect(global.drawingPaths[0].tool).toBe('pen');
+
+    global.drawingPaths = [];
+    drawStroke(circle(300, 300, 60), 700);
+    expect(global.drawingPaths[0]).toMatchObject({ tool: 'shape', shape: 'ellipse' });
+    expect(global.undoStack).toHaveLength(2);
+  });
+
+  test('should measure the hold from when the pointer reached its final spot', () => {
+    const path = { points: [{ x: 0, y: 0, t: 0 }, { x: 50, y: 0, t: 100 }, { x: 51, y: 1, t: 400 }] };
+
+    expect(isStrokeHeld(path, 650)).toBe(false);
+    expect(isStrokeHeld(path, 700)).toBe(true);
+  });
+
+  test('Shift+U should toggle snapping', () => {
+    handleKeyDown({ key: 'U', shiftKey: true, target: { tagName: 'DIV' }, preventDefault: jest.fn() });
+    expect(appModule.shapeRecognition).toBe(true);
+
+    handleKeyDown({ key: 'U', shiftKey: true, target: { tagName: 'DIV' }, preventDefault: jest.fn() });
+    expect(appModule.shapeRecognition).toBe(false);
+  });
+
+  test('the shape tool should drag out triangles that fill the box', () => {
+    expect(computeShapePoints('triangle', { x: 0, y: 0 }, { x: 100, y: 80 })).toEqual([
+      { x: 50, y: 0 }, { x: 100, y: 80 }, { x: 0, y: 80 }
+    ]);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Unit Tests for the Shape Tools
+ * Tests dragging out shapes, Shift/Alt modifiers, outlines, rendering, export and project files
+ */
+
+require('../../app.js');
+
+describe('Shape Tools (unit)', () => {
+  let mockContext;
+
+  const mouse = (type, x, y, opts = {}) => {
+    const event = { button: 0, clientX: x, clientY: y, preventDefault: jest.fn(), ...opts };
+    if (type === 'down') handleMouseDown(event);
+    if (type === 'move') handleMouseMove(event);
+    if (type === 'up') handleMouseUp(event);
+  };
+
+  const drag = (from, to, opts) => {
+    mouse('down', from.x, from.y);
+    mouse('move', to.x, to.y, opts);
+    mouse('up', to.x, to.y, opts);
+  };
+
+  const shape = (kind, a, b, size = 4) => ({
+    tool: 'shape', shape: kind, color: '#3b82f6', size, points: [a, b], layerId: null
+  });
+
+  beforeEach(() => {
+    mockContext = {
+      save: jest.fn(),
+      restore: jest.fn(),
+      beginPath: jest.fn(),
+      arc: jest.fn(),
+      fill: jest.fn(),
+      moveTo: jest.fn(),
+      lineTo: jest.fn(),
+      quadraticCurveTo: jest.fn(),
+      stroke: jest.fn(),
+      drawImage: jest.fn(),
+      fillRect: jest.fn(),
+      setTransform: jest.fn(),
+      globalCompositeOperation: 'source-over'
+    };
+
+    global.canvas = {
+      width: 800,
+      height: 600,
+      style: {},
+      getBoundingClientRect: jest.fn(() => ({ left: 0, top: 0, width: 800, height: 600 }))
+    };
+    global.ctx = mockContext;
+    global.drawingPaths = [];
+    global.undoStack = [];
+    global.redoStack = [];
+    global.zoomLevel = 1;
+    global.panOffsetX = 0;
+    global.panOffsetY = 0;
+    global.isDrawing = false;
+    global.isPanning = false;
+    global.currentColor = '#10b981';
+    global.penSize = 6;
+    global.currentTool = 'shape';
+    appModule.currentShape = 'rect';
+  });
+
+  afterEach(() => {
+    global.currentTool = 'pen';
+  });
+
+  test('should add an editable shape with the current color and pen size', () => {
+    drag({ x: 100, y: 100 }, { x: 250, y: 180 });
+
+    expect(global.drawingPaths).toEqual([{
+      tool: 'shape',
+      shape: 'rect',
+      color: '#10b981',
+      size: 6,
+      points: [{ x: 100, y: 100 }, { x: 250, y: 180 }],
+      layerId: null
+    }]);
+    expect(global.undoStack).toHaveLength(1);
+
+    undo();
+    expect(global.drawingPaths).toHaveLength(0);
+  });
+
+  test('should ignore clicks without a drag', () => {
+    drag({ x: 100, y: 100 }, { x: 101, y: 100 });
+
+    expect(global.drawingPaths).toHaveLength(0);
+    expect(global.undoStack).toHaveLength(0);
+  });
+
+  test('Shift should make squares and circles', () => {
+    appModule.currentShape = 'ellipse';
+    drag({ x: 100, y: 100 }, { x: 160, y: 130 }, { shiftKey: true });
+
+    expect(global.drawingPaths[0].points).toEqual([{ x: 100, y: 100 }, { x: 160, y: 160 }]);
+  });
+
+  test('Shift should snap lines to 45 degree steps', () => {
+    const [start, end] = computeShapePoints('line', { x: 0, y: 0 }, { x: 100, y: 90 }, { constrain: true });
+
+    expect(start).toEqual({ x: 0, y: 0 });
+    expect(end.x).toBeCloseTo(end.y);
+    expect(Math.hypot(end.x, end.y)).toBeCloseTo(Math.hypot(100, 90));
+  });
+
+  test('Alt should draw from the centre', () => {
+    drag({ x: 200, y: 200 }, { x: 250, y: 230 }, { altKey: true });
+
+    expect(global.drawingPaths[0].points).toEqual([{ x: 150, y: 170 }, { x: 250, y: 230 }]);
+  });
+
+  test('should build closed outlines for boxes and a head for arrows', () => {
+    const rect = getShapeOutlines(shape('rect', { x: 0, y: 0 }, { x: 10, y: 20 }));
+    expect(rect).toEqual([[{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 20 }, { x: 0, y: 20 }, { x: 0, y: 0 }]]);
+
+    const [ellipse] = getShapeOutlines(shape('ellipse', { x: 0, y: 0 }, { x: 100, y: 50 }));
+    expect(ellipse[0].x).toBeCloseTo(100);
+    expect(ellipse[0].y).toBeCloseTo(25);
+    expect(ellipse[ellipse.length - 1].x).toBeCloseTo(ellipse[0].x);
+
+    const arrow = getShapeOutlines(shape('arrow', { x: 0, y: 0 }, { x: 100, y: 0 }));
+    expect(arrow).toHaveLength(2);
+    expect(arrow[1][1]).toEqual({ x: 100, y: 0 });
+    expect(arrow[1][0].x).toBeLessThan(100);
+  });
+
+  test('should stroke shapes with their color and size', () => {
+    renderPath(mockContext, shape('line', { x: 5, y: 5 }, { x: 50, y: 60 }));
+
+    expect(mockContext.strokeStyle).toBe('#3b82f6');
+    expect(mockContext.lineWidth).toBe(4);
+    expect(mockContext.moveTo).toHaveBeenCalledWith(5, 5);
+    expect(mockContext.lineTo).toHaveBeenCalledWith(50, 60);
+    expect(mockContext.stroke).toHaveBeenCalled();
+  });
+
+  test('should export shapes as SVG paths', () => {
+    global.drawingPaths = [shape('rect', { x: 10, y: 10 }, { x: 30, y: 40 })];
+
+    const svg = buildSVGDocument();
+
+    expect(svg).toContain('<path d="M10 10 L30 10 L30 40 L10 40 L10 10" fill="none" stroke="#3b82f6" stroke-width="4"');
+  });
+
+  test('should round-trip shapes through project files and reject unknown shapes', async () => {
+    global.drawingPaths = [shape('arrow', { x: 1, y: 2 }, { x: 30, y: 40 })];
+    const text = JSON.stringify(serializeProject());
+
+    expect(await loadProject(text)).toBe(true);
+    expect(global.drawingPaths[0]).toMatchObject({ tool: 'shape', shape: 'arrow', size: 4 });
+
+    const bad = JSON.parse(text);
+    bad.items[0].shape = 'star';
+    expect(() => parseProject(JSON.stringify(bad))).toThrow('unknown shape');
+  });
+
+  test('should include the stroke width in content bounds', () => {
+    global.drawingPaths = [shape('line', { x: 10, y: 20 }, { x: 110, y: 20 }, 10)];
+
+    expect(computeContentBounds()).toEqual({ x: 5, y: 15, width: 110, height: 10 });
+  });
+
+  test('U should pick the shape tool and then cycle shapes', () => {
+    global.currentTool = 'pen';
+    const press = () => handleKeyDown({ key: 'u', target: { tagName: 'DIV' }, preventDefault: jest.fn() });
+
+    press();
+    expect(global.currentTool).toBe('shape');
+    expect(appModule.currentShape).toBe('rect');
+
+    press();
+    expect(appModule.currentShape).toBe('ellipse');
+  });
+});
@@ -1,6 +1,6 @@
 /**
  * Unit Tests for State Management
- * Tests undo/redo functionality, state saving/loading, and memory management
+ * Tests the stroke document, command-based undo/redo and memory management
  */
 
 require('../../app.js');
@@ -56,7 +56,7 @@ describe('State Management (unit)', () => {
     global.ctx = mockContext;
     global.undoStack = [];
     global.redoStack = [];
-    global.UNDO_STACK_LIMIT = 30;
+    global.drawingPaths = [];
 
     // Mock DOM elements
     let mockUndoBtn = {
@@ -80,119 +80,142 @@ describe('State Management (unit)', () => {
   });
 
   describe('State Saving', () => {
-    test('should save canvas state correctly', () => {
-      saveState();
+    test('should record a command on the undo stack', () => {
+      const command = new DrawCommand({ tool: 'pen', color: '#FF0000', size: 5, points: [], layerId: null });
+
+      saveState(command);
 
-      expect(mockCanvas.toDataURL).toHaveBeenCalledWith('image/png');
       expect(global.undoStack).toHaveLength(1);
-      expect(global.undoStack[0]).toBe('data:image/png;base64,mock-state-data');
+      expect(global.undoStack[0]).toBe(command);
       expect(global.redoStack).toHaveLength(0);
     });
 
-    test('should limit undo stack size', () => {
-      // Fill stack to limit
-      for (let i = 0; i < 35; i++) {
-        global.undoStack.push(`state-${i}`);
-      }
+    test('should not snapshot the canvas bitmap', () => {
+      saveState(new ClearCommand());
 
-      saveState();
+      expect(mockCanvas.toDataURL).not.toHaveBeenCalled();
+    });
 
-      expect(global.undoStack).toHaveLength(30); // Should be trimmed to limit
-      expect(global.undoStack[0]).toBe('state-6'); // Oldest should be removed
+    test('should keep history beyond the old snapshot limit', () => {
+      for (let i = 0; i < 100; i++) {
+        saveState(new ClearCommand());
+      }
+
+      expect(global.undoStack).toHaveLength(100);
     });
 
     test('should clear redo stack when saving new state', () => {
-      global.redoStack = ['redo-state-1', 'redo-state-2'];
+      global.redoStack = [new ClearCommand(), new ClearCommand()];
 
-      saveState();
+      saveState(new ClearCommand());
 
       expect(global.redoStack).toHaveLength(0);
     });
 
-    test('should handle canvas toDataURL error', () => {
-      mockCanvas.toDataURL = jest.fn(() => { throw new Error('Canvas error'); });
-      const consoleSpy = jest.spyOn(console, 'error');
+    test('should only refresh buttons when called without a command', () => {
+      global.redoStack = [new ClearCommand()];
 
       saveState();
 
-      expect(consoleSpy).toHaveBeenCalledWith('Error saving canvas state:', expect.any(Error));
+      expect(global.undoStack).toHaveLength(0);
+      expect(global.redoStack).toHaveLength(1);
     });
   });
 
-  describe('State Loading', () => {
+  describe('Document Rendering', () => {
     beforeEach(() => {
+      mockContext.arc = jest.fn();
+      mockContext.fill = jest.fn();
+      mockContext.quadraticCurveTo = jest.fn();
       global.showRulers = false;
     });
 
-    test('should load state successfully', async () => {
-      const testDataURL = 'data:image/png;base64,test-data';
-      
-      const loadPromise = loadState(testDataURL);
-      
-      // Simulate image load
-      mockImage.onload();
-      
-      await loadPromise;
-
-      expect(mockContext.fillStyle).toBe('#1e293b');
-      expect(mockContext.fillRect).toHaveBeenCalled();
-      expect(mockContext.drawImage).toHaveBeenCalledWith(
-        mockImage, 0, 0, 800, 600
-      );
+    test('should replay a stroke with its recorded widths', () => {
+      const path = {
+        tool: 'pen',
+        color: '#FF0000',
+        size: 5,
+        points: [
+          { x: 0, y: 0, width: 4 },
+          { x: 10, y: 0, width: 6 },
+          { x: 20, y: 5, width: 8 }
+        ],
+        layerId: null
+      };
+
+      renderPath(mockContext, path);
+
+      expect(mockContext.arc).toHaveBeenCalledWith(0, 0, 2, 0, Math.PI * 2);
+      expect(mockContext.lineTo).toHaveBeenCalledWith(10, 0);
+      expect(mockContext.quadraticCurveTo).toHaveBeenCalledWith(10, 0, 15, 2.5);
+      expect(mockContext.lineWidth).toBe(8);
+      expect(mockContext.globalCompositeOperation).toBe('source-over');
     });
 
-    test('should handle image load error', async () => {
-      const testDataURL = 'data:image/png;base64,invalid-data';
-      const consoleSpy = jest.spyOn(console, 'error');
-      
-      const loadPromise = loadState(testDataURL);
-      
-      // Simulate image error
-      mockImage.onerror();
-      
-      try {
-        await loadPromise;
-      } catch (error) {
-        expect(consoleSpy).toHaveBeenCalledWith('Failed to load canvas state');
-      }
+    test('should replay eraser strokes with destination-out', () => {
+      const compositeOps = [];
+      mockContext.stroke = jest.fn(() => compositeOps.push(mockContext.globalCompositeOperation));
+
+      renderPath(mockContext, {
+        tool: 'eraser',
+        size: 20,
+        points: [{ x: 0, y: 0 }, { x: 5, y: 5 }],
+        layerId: null
+      });
+
+      expect(compositeOps).toEqual(['destination-out']);
+      expect(mockContext.lineWidth).toBe(20);
     });
 
-    test('should draw rulers when enabled', async () => {
-      global.showRulers = true;
-      global.lastMouseX = 100;
-      global.lastMouseY = 150;
-      
-      const loadPromise = loadState('data:image/png;base64,test');
-      
-      mockImage.onload();
-      
-      await loadPromise;
-
-      // Rulers should be drawn (implementation would call drawRulers)
-      expect(mockImage.onload).toBeDefined();
+    test('should draw pasted images at their stored placement', () => {
+      const image = { width: 40, height: 30 };
+
+      renderPath(mockContext, { tool: 'image', image, x: 5, y: 6, width: 40, height: 30, layerId: null });
+
+      expect(mockContext.drawImage).toHaveBeenCalledWith(image, 5, 6, 40, 30);
+    });
+
+    test('should redraw the document when refreshing without layers', () => {
+      const image = { width: 10, height: 10 };
+      global.drawingPaths = [{ tool: 'image', image, x: 0, y: 0, width: 10, height: 10, layerId: null }];
+
+      refreshCanvas();
+
+      expect(mockContext.fillRect).toHaveBeenCalled();
+      expect(mockContext.drawImage).toHaveBeenCalledWith(image, 0, 0, 10, 10);
     });
   });
 
   describe('Undo Functionality', () => {
-    test('should undo correctly when states available', () => {
-      global.undoStack = ['state1', 'state2', 'state3'];
+    beforeEach(() => {
+      global.showRulers = false;
+    });
+
+    test('should undo a stroke by removing it from the document', () => {
+      const first = { tool: 'pen', color: '#FF0000', size: 5, points: [{ x: 0, y: 0 }], layerId: null };
+      const second = { tool: 'pen', color: '#00FF00', size: 5, points: [{ x: 5, y: 5 }], layerId: null };
+      global.drawingPaths = [first, second];
+      global.undoStack = [new DrawCommand(first), new DrawCommand(second)];
       global.redoStack = [];
 
       undo();
 
-      expect(global.undoStack).toEqual(['state1', 'state2']);
-      expect(global.redoStack).toEqual(['state3']);
-      expect(mockImage.src).toBe('state2');
+      expect(global.drawingPaths).toEqual([first]);
+      expect(global.undoStack).toHaveLength(1);
+      expect(global.redoStack).toHaveLength(1);
+      expect(global.redoStack[0].path).toBe(second);
     });
 
-    test('should not undo when only initial state exists', () => {
-      global.undoStack = ['initial-state'];
-      global.redoStack = [];
+    test('should undo a clear by restoring every item', () => {
+      const path = { tool: 'pen', color: '#FF0000', size: 5, points: [{ x: 0, y: 0 }], layerId: null };
+      global.drawingPaths = [path];
+      const command = new ClearCommand();
+      executeCommand(command);
+      expect(global.drawingPaths).toHaveLength(0);
 
       undo();
 
-      expect(global.undoStack).toEqual(['initial-state']);
-      expect(global.redoStack).toHaveLength(0);
+      expect(global.drawingPaths).toEqual([path]);
     });
 
     test('should not undo when stack is empty', () => {
@@ -207,65 +230,57 @@ describe('State Management (unit)', () => {
   });
 
   describe('Redo Functionality', () => {
-    test('should redo correctly when redo states available', () => {
-      global.undoStack = ['state1', 'state2'];
-      global.redoStack = ['state3', 'state4'];
-
-      redo();
-
-      expect(global.undoStack).toEqual(['state1', 'state2', 'state4']);
-      expect(global.redoStack).toEqual(['state3']);
-      expect(mockImage.src).toBe('state4');
+    beforeEach(() => {
+      global.showRulers = false;
     });
 
-    test('should not redo when redo stack is empty', () => {
-      global.undoStack = ['state1', 'state2'];
-      global.redoStack = [];
+    test('should redo by re-applying the undone command', () => {
+      const path = { tool: 'pen', color: '#FF0000', size: 5, points: [{ x: 0, y: 0 }], layerId: null };
+      global.drawingPaths = [];
+      global.undoStack = [];
+      global.redoStack = [new DrawCommand(path)];
 
       redo();
 
-      expect(global.undoStack).toEqual(['state1', 'state2']);
+      expect(global.drawingPaths).toEqual([path]);
+      expect(global.undoStack).toHaveLength(1);
       expect(global.redoStack).toHaveLength(0);
     });
-  });
 
-  describe('Memory Management', () => {
-    test('should trim undo/redo stacks correctly', () => {
-      // Setup large stacks
-      global.undoStack = Array.from({ length: 20 }, (_, i) => `state-${i}`);
-      global.redoStack = ['redo1', 'redo2', 'redo3'];
+    test('should round-trip through undo and redo', () => {
+      const path = { tool: 'pen', color: '#FF0000', size: 5, points: [{ x: 0, y: 0 }], layerId: null };
+      global.drawingPaths = [];
+      executeCommand(new DrawCommand(path));
 
-      trimUndoRedoStacks();
+      undo();
+      expect(global.drawingPaths).toHaveLength(0);
 
-      expect(global.undoStack).toHaveLength(10); // Keep initial + last 9
-      expect(global.undoStack[0]).toBe('state-0'); // Initial state preserved
-      expect(global.redoStack).toHaveLength(0); // Cleared
+      redo();
+      expect(global.drawingPaths).toEqual([path]);
     });
 
-    test('should preserve initial state during trimming', () => {
-      global.undoStack = Array.from({ length: 15 }, (_, i) => `state-${i}`);
-
-      trimUndoRedoStacks();
-
-      expect(global.undoStack[0]).toBe('state-0');
-      expect(global.undoStack).toHaveLength(10);
-    });
+    test('should not redo when redo stack is empty', () => {
+      const command = new ClearCommand();
+      global.undoStack = [command];
+      global.redoStack = [];
 
-    test('should handle garbage collection gracefully', () => {
-      // Mock window.gc
-      window.gc = jest.fn(() => { throw new Error('GC error'); });
+      redo();
 
-      expect(() => trimUndoRedoStacks()).not.toThrow();
+      expect(global.undoStack).toEqual([command]);
+      expect(global.redoStack).toHaveLength(0);
     });
+  });
 
-    test('should cleanup memory correctly', () => {
-      global.drawingPaths = [{ tool: 'pen', points: [] }];
+  describe('Memory Management', () => {
+    test('should cleanup memory without discarding the document', () => {
+      const path = { tool: 'pen', points: [] };
+      global.drawingPaths = [path];
       global.copiedRegion = mockCanvas;
       global.domElements = { sizeVisualizer: { classList: { remove: jest.fn() } } };
 
       cleanupMemory();
 
-      expect(global.drawingPaths).toHaveLength(0);
+      expect(global.drawingPaths).toEqual([path]);
       expect(global.copiedRegion).toBe(null);
     });
   });
@@ -291,7 +306,7 @@ describe('State Management (unit)', () => {
         return null;
       });
 
-      global.undoStack = ['state1'];
+      global.undoStack = [];
       global.redoStack = [];
 
       updateUndoRedoButtons();
@@ -310,27 +325,13 @@ describe('State Management (unit)', () => {
   });
 
   describe('Error Recovery', () => {
-    test('should handle state loading errors gracefully', async () => {
-      const consoleSpy = jest.spyOn(console, 'error');
-      
-      const loadPromise = loadState('invalid-data-url');
-      
-      mockImage.onerror();
-      
-      try {
-        await loadPromise;
-      } catch (error) {
-        expect(consoleSpy).toHaveBeenCalled();
-      }
-    });
+    test('should continue functioning after a failing command', () => {
+      const failing = new ClearCommand();
+      failing.undo = () => { throw new Error('Undo error'); };
+      global.undoStack = [failing];
 
-    test('should continue functioning after save errors', () => {
-      mockCanvas.toDataURL = jest.fn(() => { throw new Error('Save error'); });
-      
-      saveState();
-      
-      // Should still be able to perform other operations
       expect(() => undo()).not.toThrow();
+      expect(global.redoStack).toEqual([failing]);
     });
   });
 
@@ -340,35 +341,34 @@ describe('State Management (unit)', () => {
       global.currentPath = { points: [] };
       global.saveState = jest.fn();
       global.updateUndoRedoButtons = jest.fn();
-      global.loadState = jest.fn();
     });
 
-    test('should call saveState after drawing stops', () => {
+    test('should call saveState with a DrawCommand after drawing stops', () => {
       global.isDrawing = true;
+      const path = global.currentPath;
       stopDrawing();
-      expect(global.saveState).toHaveBeenCalled();
+      expect(global.saveState).toHaveBeenCalledWith(expect.any(DrawCommand));
+      expect(global.saveState.mock.calls[0][0].path).toBe(path);
     });
 
-    test('should call updateUndoRedoButtons after undo/redo', () => {
-      global.undoStack = ['state1', 'state2'];
-      undo();
-      expect(global.updateUndoRedoButtons).toHaveBeenCalled();
+    test('should keep finished strokes in the document', () => {
+      const path = { tool: 'pen', points: [{ x: 1, y: 1 }], layerId: null };
+      global.drawingPaths = [path];
+      global.currentPath = path;
+      global.isDrawing = true;
 
-      global.redoStack = ['state2'];
-      redo();
-      expect(global.updateUndoRedoButtons).toHaveBeenCalledTimes(2);
-    });
+      stopDrawing();
 
-    test('should load correct state on undo/redo', () => {
-      global.undoStack = ['s1', 's2', 's3'];
-      global.redoStack = [];
+      expect(global.drawingPaths).toEqual([path]);
+    });
 
+    test('should call updateUndoRedoButtons after undo/redo', () => {
+      global.undoStack = [new ClearCommand()];
       undo();
-      expect(global.loadState).toHaveBeenCalledWith('s2');
+      expect(global.updateUndoRedoButtons).toHaveBeenCalled();
 
-      global.redoStack.push('s3');
       redo();
-      expect(global.loadState).toHaveBeenCalledWith('s3');
+      expect(global.updateUndoRedoButtons).toHaveBeenCalledTimes(2);
     });
   });
 });
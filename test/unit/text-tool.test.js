@@ -0,0 +1,246 @@
+/**
+ * Unit Tests for the Text Tool
+ * Tests the inline editor placement, committing and re-editing text boxes, rendering, export and project files
+ */
+
+require('../../app.js');
+
+describe('Text Tool (unit)', () => {
+  let mockContext;
+
+  const click = (x, y) => handleMouseDown({ button: 0, clientX: x, clientY: y, preventDefault: jest.fn() });
+
+  const keydownHandler = () => appModule.textEditor.input.addEventListener.mock.calls
+    .find(([type]) => type === 'keydown')[1];
+
+  const textItem = (overrides = {}) => ({
+    tool: 'text',
+    text: 'Hello',
+    x: 100,
+    y: 100,
+    fontFamily: 'sans-serif',
+    fontSize: 20,
+    bold: false,
+    italic: false,
+    color: '#3b82f6',
+    layerId: null,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    mockContext = {
+      save: jest.fn(),
+      restore: jest.fn(),
+      beginPath: jest.fn(),
+      fill: jest.fn(),
+      stroke: jest.fn(),
+      fillText: jest.fn(),
+      fillRect: jest.fn(),
+      setTransform: jest.fn(),
+      globalCompositeOperation: 'source-over'
+    };
+
+    global.canvas = {
+      width: 800,
+      height: 600,
+      style: {},
+      getBoundingClientRect: jest.fn(() => ({ left: 0, top: 0, width: 800, height: 600 }))
+    };
+    global.ctx = mockContext;
+    global.drawingPaths = [];
+    global.undoStack = [];
+    global.redoStack = [];
+    global.zoomLevel = 1;
+    global.panOffsetX = 0;
+    global.panOffsetY = 0;
+    global.isDrawing = false;
+    global.currentColor = '#10b981';
+    global.currentTool = 'text';
+    appModule.textEditor = null;
+    appModule.textStyle = { fontFamily: 'sans-serif', fontSize: 32, bold: false, italic: false };
+  });
+
+  afterEach(() => {
+    appModule.textEditor = null;
+    global.currentTool = 'pen';
+  });
+
+  test('should open the editor at the clicked canvas point under zoom and pan', () => {
+    global.zoomLevel = 2;
+    global.panOffsetX = 20;
+    global.panOffsetY = 10;
+
+    click(100, 50);
+
+    const editor = appModule.textEditor;
+    expect(editor).toMatchObject({ x: 40, y: 20, item: null });
+    expect(editor.element.style.left).toBe('100px');
+    expect(editor.element.style.top).toBe('50px');
+    expect(editor.input.style.font).toBe('64px sans-serif');
+    expect(document.body.appendChild).toHaveBeenCalledWith(editor.element);
+  });
+
+  test('should add the typed text with the current font and color as one undoable step', () => {
+    appModule.textStyle = { fontFamily: 'serif', fontSize: 24, bold: true, italic: false };
+    click(100, 50);
+    appModule.textEditor.input.value = 'Hello\nWorld\n';
+
+    expect(commitTextEditor()).toBe(true);
+
+    expect(global.drawingPaths).toEqual([{
+      tool: 'text',
+      text: 'Hello\nWorld',
+      x: 100,
+      y: 50,
+      fontFamily: 'serif',
+      fontSize: 24,
+      bold: true,
+      italic: false,
+      color: '#10b981',
+      layerId: null
+    }]);
+    expect(appModule.textEditor).toBeNull();
+    expect(global.undoStack).toHaveLength(1);
+
+    undo();
+    expect(global.drawingPaths).toHaveLength(0);
+  });
+
+  test('should add nothing for empty text, on Escape, or when clicking away', () => {
+    click(100, 50);
+    commitTextEditor();
+    expect(global.drawingPaths).toHaveLength(0);
+
+    click(100, 50);
+    appModule.textEditor.input.value = 'Discarded';
+    keydownHandler()({ key: 'Escape', preventDefault: jest.fn(), stopPropagation: jest.fn() });
+    expect(appModule.textEditor).toBeNull();
+    expect(global.drawingPaths).toHaveLength(0);
+
+    // With the text tool, a click elsewhere only finishes the open box
+    click(100, 50);
+    appModule.textEditor.input.value = 'Kept';
+    click(400, 300);
+    expect(appModule.textEditor).toBeNull();
+    expect(global.drawingPaths).toHaveLength(1);
+  });
+
+  test('Ctrl+B and Ctrl+I should toggle the font and Ctrl+Enter should commit', () => {
+    click(100, 50);
+    const onKey = keydownHandler();
+    const key = (k, opts = {}) => onKey({ key: k, ctrlKey: true, preventDefault: jest.fn(), stopPropagation: jest.fn(), ...opts });
+
+    key('b');
+    key('i');
+    expect(appModule.textEditor.input.style.font).toBe('italic bold 32px sans-serif');
+    expect(appModule.textStyle).toMatchObject({ bold: true, italic: true });
+
+    appModule.textEditor.input.value = 'Styled';
+    key('Enter');
+    expect(global.drawingPaths[0]).toMatchObject({ text: 'Styled', bold: true, italic: true });
+  });
+
+  test('should render each line with its font', () => {
+    renderPath(mockContext, textItem({ text: 'One\nTwo', fontFamily: 'serif', bold: true, italic: true }));
+
+    expect(mockContext.font).toBe('italic bold 20px serif');
+    expect(mockContext.fillStyle).toBe('#3b82f6');
+    expect(mockContext.fillText).toHaveBeenNthCalledWith(1, 'One', 100, 100);
+    expect(mockContext.fillText).toHaveBeenNthCalledWith(2, 'Two', 100, 125);
+  });
+
+  test('double-clicking a text box should re-open it and record the edit', () => {
+    global.currentTool = 'pen';
+    const item = textItem();
+    global.drawingPaths = [item];
+
+    handleCanvasDoubleClick({ clientX: 110, clientY: 110, preventDefault: jest.fn() });
+
+    expect(appModule.textEditor.item).toBe(item);
+    expect(appModule.textEditor).toMatchObject({ x: 100, y: 100 });
+    // The box is drawn by the editor while it is open
+    renderPath(mockContext, item);
+    expect(mockContext.fillText).not.toHaveBeenCalled();
+
+    appModule.textEditor.input.value = 'Hello again';
+    commitTextEditor();
+
+    expect(global.drawingPaths).toEqual([item]);
+    expect(item.text).toBe('Hello again');
+    expect(global.undoStack[0]).toBeInstanceOf(EditTextCommand);
+
+    undo();
+    expect(item.text).toBe('Hello');
+  });
+
+  test('should miss when double-clicking away from text', () => {
+    global.drawingPaths = [textItem()];
+
+    handleCanvasDoubleClick({ clientX: 400, clientY: 400, preventDefault: jest.fn() });
+
+    expect(appModule.textEditor).toBeNull();
+  });
+
+  test('clearing a re-opened box should remove it', () => {
+    const item = textItem();
+    global.drawingPaths = [item];
+
+    click(110, 110);
+    appModule.textEditor.input.value = '   ';
+    commitTextEditor();
+    expect(global.drawingPaths).toHaveLength(0);
+
+    undo();
+    expect(global.drawingPaths).toEqual([item]);
+  });
+
+  test('should put existing text into the editor as escaped text, never as markup', () => {
+    const item = textItem({ text: '<img src=x onerror=alert(1)>' });
+    global.drawingPaths = [item];
+    // Real elements, so sanitizeHTML() escapes the way a browser does
+    const page = document.implementation.createHTMLDocument('');
+    const createElement = document.createElement.getMockImplementation();
+    document.createElement.mockImplementation(tag => page.createElement(tag));
+
+    try {
+      handleCanvasDoubleClick({ clientX: 110, clientY: 110, preventDefault: jest.fn() });
+    } finally {
+      document.createElement.mockImplementation(createElement);
+    }
+
+    const input = appModule.textEditor.input;
+    expect(input.innerHTML).toBe('&lt;img src=x onerror=alert(1)&gt;');
+    expect(input.children).toHaveLength(0);
+    expect(input.value).toBe('<img src=x onerror=alert(1)>');
+    cancelTextEditor();
+  });
+
+  test('should export text as escaped SVG text', () => {
+    global.drawingPaths = [textItem({ text: 'a < b\n& c', bold: true })];
+
+    const svg = buildSVGDocument();
+
+    expect(svg).toContain('<text font-family="sans-serif" font-size="20" font-weight="bold" fill="#3b82f6"');
+    expect(svg).toContain('<tspan x="100" y="100">a &lt; b</tspan><tspan x="100" y="125">&amp; c</tspan>');
+  });
+
+  test('should round-trip text through project files and reject bad fonts', async () => {
+    global.drawingPaths = [textItem({ text: 'Line 1\nLine 2', italic: true })];
+    const text = JSON.stringify(serializeProject());
+
+    expect(await loadProject(text)).toBe(true);
+    expect(global.drawingPaths[0]).toEqual(textItem({ text: 'Line 1\nLine 2', italic: true }));
+
+    const bad = JSON.parse(text);
+    bad.items[0].fontSize = -4;
+    expect(() => parseProject(JSON.stringify(bad))).toThrow('invalid font');
+  });
+
+  test('T should select the text tool', () => {
+    global.currentTool = 'pen';
+
+    handleKeyDown({ key: 't', target: { tagName: 'DIV' }, preventDefault: jest.fn() });
+
+    expect(global.currentTool).toBe('text');
+  });
+});
@@ -137,6 +137,7 @@ describe('UI Components (unit)', () => {
 
       expect(global.currentColor).toBe('#ef4444');
       expect(mockElements.colorButtons[0].classList.add).toHaveBeenCalledWith('active');
+      expect(appModule.recentColors[0]).toBe('#ef4444');
     });
 
     test('should switch to pen when color selected while in eraser mode', () => {
@@ -0,0 +1,251 @@
+/**
+ * Unit Tests for the Zoom Controls
+ * Tests the 10%-3200% range, zooming around the view centre, fit and selection zoom,
+ * the percentage field and slider, keyboard shortcuts and sharp rendering close up
+ */
+
+require('../../app.js');
+
+describe('Zoom Controls (unit)', () => {
+  let mockContext;
+
+  const ctrlKey = key => ({ key, ctrlKey: true, target: { tagName: 'DIV' }, preventDefault: jest.fn() });
+
+  // Document point in the middle of the 800x600 view
+  const viewCentre = () => {
+    const view = getViewportWorldRect();
+    return { x: view.x + view.width / 2, y: view.y + view.height / 2 };
+  };
+
+  beforeEach(() => {
+    mockContext = {
+      save: jest.fn(),
+      restore: jest.fn(),
+      setTransform: jest.fn(),
+      clearRect: jest.fn(),
+      fillRect: jest.fn(),
+      drawImage: jest.fn(),
+      beginPath: jest.fn(),
+      moveTo: jest.fn(),
+      lineTo: jest.fn(),
+      quadraticCurveTo: jest.fn(),
+      stroke: jest.fn(),
+      arc: jest.fn(),
+      fill: jest.fn(),
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over'
+    };
+    global.canvas = {
+      width: 800,
+      height: 600,
+      style: {},
+      getBoundingClientRect: jest.fn(() => ({ left: 0, top: 0, width: 800, height: 600 }))
+    };
+    global.ctx = mockContext;
+    global.drawingPaths = [];
+    global.zoomLevel = 1;
+    global.panOffsetX = 0;
+    global.panOffsetY = 0;
+    appModule.selectedRegion = null;
+    appModule.canvasPixelRatio = 1;
+    appModule.layers = [];
+  });
+
+  test('should keep zoom between 10% and 3200%', () => {
+    expect(clampZoom(0.01)).toBe(0.1);
+    expect(clampZoom(100)).toBe(32);
+    expect(clampZoom(NaN)).toBe(1);
+
+    zoomTo(50);
+    expect(global.zoomLevel).toBe(32);
+    zoomTo(0.05);
+    expect(global.zoomLevel).toBe(0.1);
+  });
+
+  test('buttons and shortcuts should zoom around the middle of the view', () => {
+    global.panOffsetX = -150;
+    global.panOffsetY = 40;
+    const centre = viewCentre();
+
+    handleKeyDown(ctrlKey('='));
+    expect(global.zoomLevel).toBeCloseTo(1.25);
+    expect(viewCentre().x).toBeCloseTo(centre.x);
+    expect(viewCentre().y).toBeCloseTo(centre.y);
+
+    handleKeyDown(ctrlKey('-'));
+    handleKeyDown(ctrlKey('-'));
+    expect(global.zoomLevel).toBeCloseTo(0.8);
+
+    handleKeyDown(ctrlKey('0'));
+    expect(global.zoomLevel).toBe(1);
+    expect(viewCentre().x).toBeCloseTo(centre.x);
+
+    // Without Ctrl, 0 still sets the brush size
+    global.currentTool = 'pen';
+    handleKeyDown({ key: '0', target: { tagName: 'DIV' }, preventDefault: jest.fn() });
+    expect(global.penSize).toBe(30);
+    expect(global.zoomLevel).toBe(1);
+  });
+
+  test('zoom to fit should frame all the content', () => {
+    expect(zoomToFit()).toBe(false);
+
+    global.drawingPaths = [{ tool: 'pen', color: '#000000', size: 10, layerId: null, points: [{ x: 1000, y: 1000 }, { x: 1180, y: 1070 }] }];
+    expect(zoomToFit()).toBe(true);
+
+    // The 190x80 content box fits the 720x520 room inside the padding, limited by its width
+    expect(global.zoomLevel).toBeCloseTo(720 / 190);
+    expect(viewCentre().x).toBeCloseTo(1090);
+    expect(viewCentre().y).toBeCloseTo(1035);
+  });
+
+  test('zoom to selection should frame the selected area', () => {
+    expect(zoomToSelection()).toBe(false);
+
+    appModule.selectedRegion = { x: -300, y: 200, width: 26, height: 13 };
+    expect(zoomToSelection()).toBe(true);
+    expect(global.zoomLevel).toBeCloseTo(720 / 26);
+    expect(viewCentre().x).toBeCloseTo(-287);
+    expect(viewCentre().y).toBeCloseTo(206.5);
+
+    // A tiny selection stops at the largest zoom
+    appModule.selectedRegion = { x: 0, y: 0, width: 2, height: 2 };
+    zoomToSelection();
+    expect(global.zoomLevel).toBe(32);
+  });
+
+  test('the percentage field should accept typed zoom levels', () => {
+    expect(applyZoomInput('250%')).toBe(true);
+    expect(global.zoomLevel).toBe(2.5);
+    expect(applyZoomInput(' 12.5 % ')).toBe(true);
+    expect(global.zoomLevel).toBe(0.125);
+
+    expect(applyZoomInput('huge')).toBe(false);
+    expect(applyZoomInput('-50')).toBe(false);
+    expect(global.zoomLevel).toBe(0.125);
+  });
+
+  test('the slider and field should show the current zoom', () => {
+    const slider = { value: '0' };
+    const field = { value: '100%', classList: { add: jest.fn(), remove: jest.fn() } };
+    const originalGetElementById = document.getElementById;
+    document.getElementById = jest.fn(id => ({ zoomSlider: slider, zoomDisplay: field })[id] || null);
+
+    try {
+      global.zoomLevel = 4;
+      updateZoomDisplay();
+      expect(slider.value).toBe(2);
+      expect(field.value).toBe('400%');
+
+      // Not while the user is typing a value
+      const activeElement = jest.spyOn(document, 'activeElement', 'get').mockReturnValue(field);
+      global.zoomLevel = 2;
+      updateZoomDisplay();
+      activeElement.mockRestore();
+      expect(slider.value).toBe(1);
+      expect(field.value).toBe('400%');
+    } finally {
+      document.getElementById = originalGetElementById;
+    }
+  });
+
+  test('close up, translucent strokes should be buffered at the view scale over the part in view', () => {
+    const target = {
+      ...mockContext,
+      canvas: { width: 800, height: 600 },
+      getTransform: () => ({ a: 32, b: 0, c: 0, d: 32, e: -32000, f: -32000 })
+    };
+    const stroke = { tool: 'pen', color: '#ef4444', size: 10, opacity: 0.5, layerId: null, points: [{ x: 0, y: 1005, width: 10 }, { x: 5000, y: 1010, width: 10 }] };
+
+    renderPath(target, stroke);
+
+    // 3200% shows 25x18.75 units from (1000, 1000): the buffer covers those at 32 pixels per unit
+    const [buffer, x, y, width, height] = target.drawImage.mock.calls[0];
+    expect([x, y, width, height]).toEqual([1000, 1000, 25, 16]);
+    expect([buffer.width, buffer.height]).toEqual([800, 512]);
+
+    // Off-screen strokes are skipped
+    target.drawImage.mockClear();
+    renderPath(target, { ...stroke, points: [{ x: 0, y: 0, width: 10 }, { x: 50, y: 0, width: 10 }] });
+    expect(target.drawImage).not.toHaveBeenCalled();
+  });
+
+  test('zoomed out, fills should sample at most the pixels on screen', () => {
+    global.zoomLevel = 0.1;
+    expect(getFillArea()).toMatchObject({ width: 8000, height: 6000 });
+    expect(getFillScale()).toBeCloseTo(0.1);
+
+    document.createElement.mockClear();
+    readFillSource(false);
+    const buffer = document.createElement.mock.results.map(result => result.value).find(el => el.tagName === 'CANVAS');
+    expect([buffer.width, buffer.height]).toEqual([800, 600]);
+  });
+
+  test('close up, the view should be drawn from the items rather than the tiles', () => {
+    const layer = new appModule.Layer('Background');
+    appModule.layers = [layer];
+    const near = { tool: 'pen', color: '#000000', size: 4, layerId: layer.id, points: [{ x: 10, y: 10 }, { x: 20, y: 10 }] };
+    const far = { tool: 'pen', color: '#000000', size: 4, layerId: layer.id, points: [{ x: 3000, y: 3000 }, { x: 3010, y: 3000 }] };
+    global.drawingPaths = [near, far];
+    const original = appModule.renderPath;
+    const rendered = [];
+    appModule.renderPath = jest.fn((targetCtx, item) => rendered.push(item));
+
+    try {
+      global.zoomLevel = 4;
+      refreshCanvas();
+
+      // Only the item in view is replayed, and the layer lands in one piece at device pixels
+      expect(rendered).toEqual([near]);
+      expect(mockContext.setTransform).toHaveBeenCalledWith(1, 0, 0, 1, 0, 0);
+      expect(mockContext.drawImage).toHaveBeenCalledTimes(1);
+      expect(mockContext.drawImage.mock.calls[0].slice(1)).toEqual([0, 0]);
+
+      // At ordinary zoom the tiles are composited as before
+      rendered.length = 0;
+      global.zoomLevel = 1;
+      refreshCanvas();
+      expect(rendered).toEqual([]);
+    } finally {
+      appModule.renderPath = original;
+    }
+  });
+
+  test('close up, mid-stroke refreshes should not re-measure items out of view', () => {
+    const layer = new appModule.Layer('Background');
+    appModule.layers = [layer];
+    const near = { tool: 'pen', color: '#000000', size: 4, layerId: layer.id, points: [{ x: 10, y: 10 }, { x: 20, y: 10 }] };
+    const far = { tool: 'pen', color: '#000000', size: 4, layerId: layer.id, points: [{ x: 3000, y: 3000 }, { x: 3010, y: 3000 }] };
+    global.drawingPaths = [near, far];
+    const original = { renderPath: appModule.renderPath, getItemPaintRects: appModule.getItemPaintRects };
+    const rendered = [];
+    appModule.renderPath = jest.fn((targetCtx, item) => rendered.push(item));
+    appModule.getItemPaintRects = jest.fn(original.getItemPaintRects);
+
+    try {
+      global.zoomLevel = 4;
+      refreshCanvas();
+      expect(appModule.getItemPaintRects).toHaveBeenCalledTimes(2);
+
+      // Each pointer batch of a stroke refreshes the view; unchanged items keep their bounds
+      global.isDrawing = true;
+      appModule.getItemPaintRects.mockClear();
+      rendered.length = 0;
+      refreshCanvas();
+      refreshCanvas();
+      expect(appModule.getItemPaintRects).not.toHaveBeenCalled();
+      expect(rendered).toEqual([near, near]);
+
+      // A stroke that grows into view is measured again
+      far.points.push({ x: 30, y: 30 });
+      rendered.length = 0;
+      refreshCanvas();
+      expect(appModule.getItemPaintRects.mock.calls.map(([item]) => item)).toEqual([far]);
+      expect(rendered).toEqual([near, far]);
+    } finally {
+      global.isDrawing = false;
+      appModule.renderPath = original.renderPath;
+      appModule.getItemPaintRects = original.getItemPaintRects;
+    }
+  });
+});
@@ -98,7 +98,7 @@ describe('Zoom, Pan, and Transform System (unit)', () => {
 
     test('should constrain zoom within limits', () => {
       // Test maximum zoom
-      global.zoomLevel = 2.9;
+      global.zoomLevel = 31;
       
       const zoomInEvent = {
         preventDefault: jest.fn(),
@@ -109,10 +109,10 @@ describe('Zoom, Pan, and Transform System (unit)', () => {
       };
 
       handleWheel(zoomInEvent);
-      expect(global.zoomLevel).toBeLessThanOrEqual(3.0);
+      expect(global.zoomLevel).toBeLessThanOrEqual(32);
 
       // Test minimum zoom
-      global.zoomLevel = 0.6;
+      global.zoomLevel = 0.105;
       
       const zoomOutEvent = {
         preventDefault: jest.fn(),
@@ -123,7 +123,7 @@ describe('Zoom, Pan, and Transform System (unit)', () => {
       };
 
       handleWheel(zoomOutEvent);
-      expect(global.zoomLevel).toBeGreaterThanOrEqual(0.5);
+      expect(global.zoomLevel).toBeGreaterThanOrEqual(0.1);
     });
 
     test('should not zoom without Ctrl key', () => {